@@ -0,0 +1,131 @@
+// Expectations of an eval turn, checked against what the chat loop did.
+//
+// A turn's `expect` may hold:
+//   tools       tool calls that must appear in this order (other calls may come in between),
+//               each { name, args } where args lists only the arguments to check
+//   exactTools  true to also fail on any call that is not listed in `tools`
+//   noTools     names of tools that must not be called
+//   response    { contains: [...], notContains: [...], matches: "regex" } on the final text, case-insensitive
+//   blocks      result block types that must be returned (e.g. "flights", "pendingAction")
+//
+// Expected argument values are compared case-insensitively, objects by the listed keys only.
+// Matchers cover values that cannot be written literally:
+//   { "$in": [...] }        any of the values
+//   { "$regex": "..." }     a string matching the pattern
+//   { "$range": [min, max] } a number in the range
+//   { "$date": "..." }      "today", "today+N" or "next friday", resolved against the day of the run
+//   { "$any": true }        present with any value
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+function resolveDate(expression, today = new Date()) {
+    const date = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+    const text = expression.trim().toLowerCase();
+
+    const offset = text.match(/^today\s*([+-]\s*\d+)?$/);
+    const weekday = text.match(/^next (\w+)$/);
+    if (offset) {
+        date.setUTCDate(date.getUTCDate() + (offset[1] ? parseInt(offset[1].replace(/\s/g, ''), 10) : 0));
+    } else if (weekday && WEEKDAYS.includes(weekday[1])) {
+        // The next occurrence after today
+        const days = (WEEKDAYS.indexOf(weekday[1]) - date.getUTCDay() + 7) % 7 || 7;
+        date.setUTCDate(date.getUTCDate() + days);
+    } else {
+        throw new Error(`Unsupported $date expression "${expression}"`);
+    }
+    return date.toISOString().split('T')[0];
+}
+
+function matchValue(expected, actual, today) {
+    if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+        if ('$any' in expected) return actual !== undefined;
+        if ('$in' in expected) return expected.$in.some(value => matchValue(value, actual, today));
+        if ('$regex' in expected) return typeof actual === 'string' && new RegExp(expected.$regex, 'i').test(actual);
+        if ('$range' in expected) return typeof actual === 'number' && actual >= expected.$range[0] && actual <= expected.$range[1];
+        if ('$date' in expected) return actual === resolveDate(expected.$date, today);
+
+        return Boolean(actual) && typeof actual === 'object' &&
+            Object.entries(expected).every(([key, value]) => matchValue(value, actual[key], today));
+    }
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && actual.length === expected.length &&
+            expected.every((value, index) => matchValue(value, actual[index], today));
+    }
+    if (typeof expected === 'string' && typeof actual === 'string') {
+        return expected.toLowerCase() === actual.toLowerCase();
+    }
+    return expected === actual;
+}
+
+function describeCall(call) {
+    return `${call.name}(${JSON.stringify(call.args || {})})`;
+}
+
+// Returns the list of failed expectations; empty when the turn passed.
+// `observed` is { toolCalls: [{ name, args }], response, blocks: [type] }.
+function checkTurn(expect = {}, observed, today = new Date()) {
+    const failures = [];
+    const calls = observed.toolCalls;
+
+    // Expected calls are matched in order, each after the previous match
+    let position = 0;
+    const matched = new Set();
+    for (const expectedCall of expect.tools || []) {
+        const index = calls.findIndex((call, callIndex) => callIndex >= position &&
+            call.name === expectedCall.name && matchValue(expectedCall.args || {}, call.args || {}, today));
+        if (index < 0) {
+            const later = calls.slice(position).filter(call => call.name === expectedCall.name);
+            if (later.length > 0) {
+                failures.push(`expected ${describeCall(expectedCall)}, got ${later.map(describeCall).join(', ')}`);
+            } else if (calls.some(call => call.name === expectedCall.name)) {
+                failures.push(`expected a call to ${expectedCall.name} after ${calls[position - 1].name}`);
+            } else {
+                failures.push(`expected a call to ${expectedCall.name}, got ${calls.map(call => call.name).join(', ') || 'no tool calls'}`);
+            }
+            continue;
+        }
+        matched.add(index);
+        position = index + 1;
+    }
+
+    if (expect.exactTools) {
+        calls.forEach((call, index) => {
+            if (!matched.has(index)) {
+                failures.push(`unexpected call ${describeCall(call)}`);
+            }
+        });
+    }
+
+    for (const name of expect.noTools || []) {
+        if (calls.some(call => call.name === name)) {
+            failures.push(`${name} must not be called`);
+        }
+    }
+
+    const response = observed.response || '';
+    const lowerResponse = response.toLowerCase();
+    const responseExpect = expect.response || {};
+    for (const text of responseExpect.contains || []) {
+        if (!lowerResponse.includes(text.toLowerCase())) {
+            failures.push(`response should contain "${text}"`);
+        }
+    }
+    for (const text of responseExpect.notContains || []) {
+        if (lowerResponse.includes(text.toLowerCase())) {
+            failures.push(`response should not contain "${text}"`);
+        }
+    }
+    if (responseExpect.matches && !new RegExp(responseExpect.matches, 'i').test(response)) {
+        failures.push(`response should match /${responseExpect.matches}/`);
+    }
+
+    for (const type of expect.blocks || []) {
+        if (!observed.blocks.includes(type)) {
+            failures.push(`expected a "${type}" result block, got ${observed.blocks.join(', ') || 'none'}`);
+        }
+    }
+
+    return failures;
+}
+
+module.exports = { checkTurn, matchValue, resolveDate };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadCases, runEvals, compareReports } = require('./runner');
+
+// Replays the golden conversations in evals/cases.jsonl through the chat loop and reports pass/fail.
+// Amadeus is served from mock/fixtures; the LLM is the configured provider (LLM_PROVIDER, LLM_MODEL, ...).
+// With --scripted the replies come from mock/model-script.json instead, and the cases default to
+// evals/scripted-cases.jsonl, which follows that script.
+//
+//   npm run eval -- [--cases file] [--filter text] [--report file] [--compare previous-report.json] [--scripted]
+//
+// The JSON report is written to evals/reports/ unless --report is given. Exits with 1 when a case fails.
+
+const { values: options } = parseArgs({
+    options: {
+        cases: { type: 'string' },
+        filter: { type: 'string' },
+        report: { type: 'string' },
+        compare: { type: 'string' },
+        // Use the scripted provider instead of a real LLM, to check the harness itself
+        scripted: { type: 'boolean', default: false }
+    }
+});
+
+function printCase(result) {
+    console.log(`${result.passed ? '✓' : '✗'} ${result.id}`);
+    result.turns.forEach((turn, index) => {
+        if (!turn.passed) {
+            console.log(`    turn ${index + 1} "${turn.user}"`);
+            turn.failures.forEach(failure => console.log(`      - ${failure}`));
+        }
+    });
+}
+
+async function main() {
+    const casesFile = options.cases || path.join(__dirname, options.scripted ? 'scripted-cases.jsonl' : 'cases.jsonl');
+    const cases = loadCases(casesFile).filter(evalCase => !options.filter || evalCase.id.includes(options.filter));
+    if (cases.length === 0) {
+        console.error('No eval cases to run.');
+        process.exit(1);
+    }
+
+    const provider = options.scripted
+        ? { name: 'scripted' }
+        : { name: process.env.LLM_PROVIDER || 'gemini', model: process.env.LLM_MODEL || 'default' };
+    const env = options.scripted ? { MOCK_MODE: '1' } : { MOCK_MODE: '0', MOCK_AMADEUS: '1' };
+
+    console.log(`Running ${cases.length} eval case(s) with the ${provider.name} provider...`);
+    const report = await runEvals({ cases, env, provider, onCaseDone: printCase });
+    console.log(`\n${report.summary.passed}/${report.summary.total} passed, ${report.summary.failed} failed`);
+
+    const reportFile = options.report ||
+        path.join(__dirname, 'reports', `report-${report.startedAt.replace(/[:.]/g, '-')}.json`);
+    fs.mkdirSync(path.dirname(reportFile), { recursive: true });
+    fs.writeFileSync(reportFile, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`Report written to ${reportFile}`);
+
+    if (options.compare) {
+        const changes = compareReports(JSON.parse(fs.readFileSync(options.compare, 'utf8')), report);
+        console.log(`\nCompared with ${options.compare}:`);
+        for (const [label, ids] of Object.entries(changes)) {
+            console.log(`  ${label}: ${ids.length > 0 ? ids.join(', ') : 'none'}`);
+        }
+    }
+
+    process.exit(report.summary.failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+    console.error('Eval run failed:', error.message);
+    process.exit(1);
+});
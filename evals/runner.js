@@ -0,0 +1,113 @@
+const fs = require('fs');
+const { startMockServer } = require('../mock/server-process');
+const { checkTurn } = require('./assertions');
+
+// Replays eval cases through /api/chat/stream of a server started with Amadeus stubbed from the fixtures.
+//
+// A case is one JSON object per line:
+//   { "id": "...", "description": "...", "turns": [{ "user": "message", "expect": { ... } }] }
+// All turns of a case share one chat session. See assertions.js for what `expect` can check.
+
+function loadCases(file) {
+    return fs.readFileSync(file, 'utf8').split('\n')
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line && !line.startsWith('//'))
+        .map(({ line, number }) => {
+            let evalCase;
+            try {
+                evalCase = JSON.parse(line);
+            } catch (error) {
+                throw new Error(`${file}:${number}: ${error.message}`);
+            }
+            if (!evalCase.id || !Array.isArray(evalCase.turns) || evalCase.turns.length === 0) {
+                throw new Error(`${file}:${number}: a case needs an id and at least one turn`);
+            }
+            return evalCase;
+        });
+}
+
+// What the chat loop did in one turn, from its stream of events
+function observeTurn(events) {
+    const done = events.find(entry => entry.event === 'done');
+    if (!done) {
+        const error = events.find(entry => entry.event === 'error');
+        throw new Error(error ? error.data.error : 'the turn ended without a reply');
+    }
+
+    const ends = new Map(events.filter(entry => entry.event === 'tool_end').map(entry => [entry.data.id, entry.data]));
+    return {
+        sessionId: done.data.sessionId,
+        toolCalls: events.filter(entry => entry.event === 'tool_start').map(entry => {
+            const end = ends.get(entry.data.id) || {};
+            return { name: entry.data.name, args: entry.data.args, status: end.status, error: end.error };
+        }),
+        response: done.data.content,
+        blocks: done.data.blocks.map(block => block.type)
+    };
+}
+
+async function runCase(server, evalCase) {
+    let sessionId;
+    const turns = [];
+
+    for (const turn of evalCase.turns) {
+        const startedAt = Date.now();
+        let observed = { toolCalls: [], response: '', blocks: [] };
+        let failures;
+        try {
+            const { sessionId: turnSessionId, ...rest } = observeTurn(await server.streamChat({ message: turn.user, sessionId }));
+            sessionId = turnSessionId;
+            observed = rest;
+            failures = checkTurn(turn.expect, observed);
+        } catch (error) {
+            failures = [`request failed: ${error.message}`];
+        }
+        turns.push({ user: turn.user, passed: failures.length === 0, failures, ...observed, durationMs: Date.now() - startedAt });
+    }
+
+    return {
+        id: evalCase.id,
+        description: evalCase.description,
+        passed: turns.every(turn => turn.passed),
+        turns
+    };
+}
+
+// Runs every case against one server; `env` configures it (LLM provider, MOCK_MODE, ...)
+async function runEvals({ cases, env = {}, provider, onCaseDone = () => {} }) {
+    const startedAt = new Date().toISOString();
+    const server = await startMockServer(env);
+    const results = [];
+    try {
+        for (const evalCase of cases) {
+            const result = await runCase(server, evalCase);
+            results.push(result);
+            onCaseDone(result);
+        }
+    } finally {
+        await server.stop();
+    }
+
+    const passed = results.filter(result => result.passed).length;
+    return {
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        provider,
+        summary: { total: results.length, passed, failed: results.length - passed },
+        cases: results
+    };
+}
+
+// Cases whose outcome changed between two reports
+function compareReports(previous, current) {
+    const before = new Map(previous.cases.map(result => [result.id, result.passed]));
+    const after = new Map(current.cases.map(result => [result.id, result.passed]));
+    return {
+        regressed: current.cases.filter(result => before.get(result.id) === true && !result.passed).map(result => result.id),
+        fixed: current.cases.filter(result => before.get(result.id) === false && result.passed).map(result => result.id),
+        added: current.cases.filter(result => !before.has(result.id)).map(result => result.id),
+        removed: previous.cases.filter(result => !after.has(result.id)).map(result => result.id)
+    };
+}
+
+module.exports = { loadCases, runCase, runEvals, compareReports };
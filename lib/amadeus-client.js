@@ -0,0 +1,214 @@
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'amadeus' });
+
+// Thin Amadeus Self-Service client: OAuth token handling, retries and typed errors
+// shared by every tool implementation and endpoint in server.js.
+
+const HOSTS = {
+    test: 'https://test.api.amadeus.com',
+    production: 'https://api.amadeus.com'
+};
+
+// --- Errors ---
+// Amadeus answers errors as { errors: [{ status, code, title, detail, source }] }.
+// The first entry is surfaced on the error; all of them are kept in `errors`.
+class AmadeusError extends Error {
+    constructor(message, { status, code, title, detail, source, errors } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.title = title;
+        this.detail = detail;
+        this.source = source;
+        this.errors = errors || [];
+    }
+
+    toJSON() {
+        return {
+            type: this.name,
+            status: this.status,
+            code: this.code,
+            title: this.title,
+            detail: this.detail,
+            source: this.source
+        };
+    }
+}
+
+class AmadeusAuthenticationError extends AmadeusError {}
+class AmadeusValidationError extends AmadeusError {}
+class AmadeusNotFoundError extends AmadeusError {}
+class AmadeusRateLimitError extends AmadeusError {}
+class AmadeusServerError extends AmadeusError {}
+class AmadeusNetworkError extends AmadeusError {}
+
+function toAmadeusError(error) {
+    if (error instanceof AmadeusError) {
+        return error;
+    }
+
+    if (!error.response) {
+        return new AmadeusNetworkError(`Could not reach Amadeus: ${error.message}`, { title: error.code || 'NETWORK ERROR' });
+    }
+
+    const { status, data } = error.response;
+    const errors = (data && Array.isArray(data.errors)) ? data.errors : [];
+    const first = errors[0] || {};
+    // The token endpoint uses the OAuth error format instead
+    const title = first.title || (data && data.error) || `HTTP ${status}`;
+    const detail = first.detail || (data && data.error_description);
+    const fields = { status, code: first.code, title, detail, source: first.source, errors };
+    const message = detail ? `${title}: ${detail}` : title;
+
+    if (status === 401 || status === 403) return new AmadeusAuthenticationError(message, fields);
+    if (status === 404) return new AmadeusNotFoundError(message, fields);
+    if (status === 429) return new AmadeusRateLimitError(message, fields);
+    if (status >= 500) return new AmadeusServerError(message, fields);
+    return new AmadeusValidationError(message, fields);
+}
+
+// --- Client ---
+// onResponse({ method, url, status }) is called for every API call attempt (status is 'network' when
+// nothing came back) and onTokenRefresh({ success }) for every token request, for the metrics
+function createAmadeusClient({
+    clientId,
+    clientSecret,
+    environment = 'test',
+    baseUrl,
+    maxRetries = 3,
+    retryDelayMs = 500,
+    timeoutMs = 20000,
+    onResponse = () => {},
+    onTokenRefresh = () => {}
+} = {}) {
+    const http = axios.create({
+        baseURL: baseUrl || HOSTS[environment] || HOSTS.test,
+        timeout: timeoutMs
+    });
+
+    let accessToken = null;
+    let tokenExpiry = null;
+    // In-flight token request shared by concurrent callers (single-flight refresh)
+    let tokenRequest = null;
+
+    async function fetchToken() {
+        const requestedAt = Date.now();
+        try {
+            const response = await http.post('/v1/security/oauth2/token',
+                new URLSearchParams({
+                    'grant_type': 'client_credentials',
+                    'client_id': clientId,
+                    'client_secret': clientSecret
+                }), {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+            accessToken = response.data.access_token;
+            // Set expiry a bit before actual expiry to be safe (expires_in is in seconds)
+            tokenExpiry = requestedAt + (response.data.expires_in * 1000) - 60000;
+            onTokenRefresh({ success: true });
+            return accessToken;
+        } catch (error) {
+            const amadeusError = toAmadeusError(error);
+            log.error('Error fetching access token', { error: amadeusError });
+            onTokenRefresh({ success: false });
+            throw amadeusError;
+        }
+    }
+
+    async function getAccessToken() {
+        if (accessToken && tokenExpiry && Date.now() < tokenExpiry) {
+            return accessToken;
+        }
+
+        if (!tokenRequest) {
+            tokenRequest = fetchToken().finally(() => {
+                tokenRequest = null;
+            });
+        }
+        return tokenRequest;
+    }
+
+    function invalidateToken() {
+        accessToken = null;
+        tokenExpiry = null;
+    }
+
+    // Only requests that cannot create anything are retried on server errors;
+    // bookings are only retried when Amadeus rejected them outright (429)
+    function isRetryable(error, config) {
+        if (error instanceof AmadeusRateLimitError) {
+            return true;
+        }
+        const readOnly = config.method === 'get' || (config.headers && config.headers['X-HTTP-Method-Override'] === 'GET');
+        return readOnly && (error instanceof AmadeusServerError || error instanceof AmadeusNetworkError);
+    }
+
+    function backoffDelay(attempt, rawError) {
+        const retryAfter = rawError.response && rawError.response.headers && rawError.response.headers['retry-after'];
+        if (retryAfter && !isNaN(retryAfter)) {
+            return Number(retryAfter) * 1000;
+        }
+        // Exponential backoff with jitter
+        return retryDelayMs * (2 ** attempt) + Math.floor(Math.random() * retryDelayMs);
+    }
+
+    async function request(config) {
+        let refreshedToken = false;
+
+        for (let attempt = 0; ; attempt++) {
+            const token = await getAccessToken();
+            try {
+                const response = await http.request({
+                    ...config,
+                    headers: { ...config.headers, 'Authorization': `Bearer ${token}` }
+                });
+                onResponse({ method: config.method, url: config.url, status: response.status });
+                return response.data;
+            } catch (rawError) {
+                const error = toAmadeusError(rawError);
+                onResponse({ method: config.method, url: config.url, status: error.status || 'network' });
+
+                // The token may have been revoked before its expiry: refresh it once
+                if (error.status === 401 && !refreshedToken) {
+                    refreshedToken = true;
+                    invalidateToken();
+                    attempt--;
+                    continue;
+                }
+
+                if (attempt < maxRetries && isRetryable(error, config)) {
+                    const delay = backoffDelay(attempt, rawError);
+                    log.warn(`Amadeus ${config.method.toUpperCase()} ${config.url} failed with ${error.status || error.title}, retrying in ${delay}ms`, { status: error.status, attempt: attempt + 1 });
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                    continue;
+                }
+
+                throw error;
+            }
+        }
+    }
+
+    return {
+        getAccessToken,
+        get: (url, params, options = {}) => request({ ...options, method: 'get', url, params }),
+        post: (url, data, options = {}) => request({ ...options, method: 'post', url, data }),
+        delete: (url, options = {}) => request({ ...options, method: 'delete', url })
+    };
+}
+
+module.exports = {
+    createAmadeusClient,
+    AmadeusError,
+    AmadeusAuthenticationError,
+    AmadeusValidationError,
+    AmadeusNotFoundError,
+    AmadeusRateLimitError,
+    AmadeusServerError,
+    AmadeusNetworkError
+};
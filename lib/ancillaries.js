@@ -0,0 +1,124 @@
+// Seats and extra bags for a flight offer: summaries of the Seatmap Display and bag catalog
+// responses, and the offer with the traveler's choices in fareDetailsBySegment.additionalServices,
+// ready to be re-priced with Flight Offers Price.
+
+// Seatmap characteristic codes shown to the user
+const SEAT_CHARACTERISTICS = {
+    W: 'window',
+    A: 'aisle',
+    9: 'middle',
+    E: 'exit row',
+    L: 'extra legroom',
+    K: 'bulkhead',
+    CH: 'chargeable',
+    RS: 'reclining',
+    1: 'restricted recline',
+    O: 'preferential'
+};
+
+function summarizeSeat(seat) {
+    const pricing = seat.travelerPricing || [];
+    const [first] = pricing;
+    return {
+        number: seat.number,
+        cabin: seat.cabin,
+        x: seat.coordinates.x,
+        y: seat.coordinates.y,
+        characteristics: (seat.characteristicsCodes || []).map(code => SEAT_CHARACTERISTICS[code]).filter(Boolean),
+        // Status and price for the first traveler; availability has every traveler's status
+        status: first ? first.seatAvailabilityStatus : 'BLOCKED',
+        price: first && first.price ? { amount: first.price.total, currency: first.price.currency } : null,
+        availability: Object.fromEntries(pricing.map(traveler => [traveler.travelerId, traveler.seatAvailabilityStatus]))
+    };
+}
+
+// One seat map per segment, with the deck as a grid: x runs along the rows, y across the cabin
+function summarizeSeatMap(seatmap) {
+    return {
+        offerId: seatmap.flightOfferId,
+        segmentId: seatmap.segmentId,
+        flight: `${seatmap.carrierCode}${seatmap.number}`,
+        origin: seatmap.departure.iataCode,
+        destination: seatmap.arrival.iataCode,
+        departureAt: seatmap.departure.at,
+        aircraft: seatmap.aircraft ? seatmap.aircraft.code : null,
+        decks: (seatmap.decks || []).map(deck => ({
+            deckType: deck.deckType,
+            width: deck.deckConfiguration.width,
+            length: deck.deckConfiguration.length,
+            exitRowsX: deck.deckConfiguration.exitRowsX || [],
+            facilities: (deck.facilities || []).map(facility => ({ code: facility.code, x: facility.coordinates.x, y: facility.coordinates.y })),
+            seats: (deck.seats || []).map(summarizeSeat)
+        })),
+        availableSeats: seatmap.availableSeatsCounters && seatmap.availableSeatsCounters.length > 0
+            ? Math.min(...seatmap.availableSeatsCounters.map(counter => counter.value))
+            : null
+    };
+}
+
+// The bag catalog of a pricing response with include=bags ({ "1": {...}, "2": {...} })
+function summarizeBagOptions(bags) {
+    return Object.entries(bags || {}).map(([id, bag]) => ({
+        id,
+        name: bag.name,
+        quantity: bag.quantity,
+        weight: bag.weight,
+        weightUnit: bag.weightUnit,
+        price: { amount: bag.price.amount, currency: bag.price.currencyCode },
+        segmentIds: bag.segmentIds,
+        travelerIds: bag.travelerIds
+    }));
+}
+
+// A copy of the offer with the chosen seats ({ segmentId, travelerId, seatNumber }) and
+// bags ({ travelerId, quantity }, booked for the whole trip) attached to the traveler's fare of each segment
+function applyAncillaries(offer, { seats = [], bags = [] } = {}) {
+    const copy = JSON.parse(JSON.stringify(offer));
+    for (const traveler of copy.travelerPricings) {
+        for (const fare of traveler.fareDetailsBySegment) {
+            const seat = seats.find(choice => choice.travelerId === traveler.travelerId && choice.segmentId === fare.segmentId);
+            const bag = bags.find(choice => choice.travelerId === traveler.travelerId);
+
+            const additionalServices = { ...fare.additionalServices };
+            if (seat) {
+                additionalServices.chargeableSeatNumber = seat.seatNumber;
+            }
+            if (bag) {
+                additionalServices.chargeableCheckedBags = { quantity: bag.quantity };
+            }
+            if (Object.keys(additionalServices).length > 0) {
+                fare.additionalServices = additionalServices;
+            }
+        }
+    }
+    return copy;
+}
+
+// New choices on top of an earlier selection: a seat replaces the traveler's seat on the same flight,
+// bags replace the traveler's bags, and every other choice is kept
+function mergeAncillaries(previous, { seats = [], bags = [] } = {}) {
+    const { seats: previousSeats = [], bags: previousBags = [] } = previous || {};
+    return {
+        seats: [
+            ...previousSeats.filter(seat => !seats.some(choice => choice.travelerId === seat.travelerId && choice.segmentId === seat.segmentId)),
+            ...seats
+        ],
+        bags: [...previousBags.filter(bag => !bags.some(choice => choice.travelerId === bag.travelerId)), ...bags]
+    };
+}
+
+// Short description of the choices, e.g. "seat 12A on TK1821, 1 extra bag"
+function describeAncillaries(offer, { seats = [], bags = [] } = {}) {
+    const segments = new Map(offer.itineraries.flatMap(itinerary => itinerary.segments).map(segment => [segment.id, segment]));
+    const travelers = offer.travelerPricings.length;
+    const withTraveler = (text, travelerId) => (travelers > 1 ? `${text} for traveler ${travelerId}` : text);
+    return [
+        ...seats.map(seat => {
+            const segment = segments.get(seat.segmentId);
+            return withTraveler(`seat ${seat.seatNumber}${segment ? ` on ${segment.carrierCode}${segment.number}` : ''}`, seat.travelerId);
+        }),
+        ...bags.map(bag => withTraveler(`${bag.quantity} extra bag${bag.quantity > 1 ? 's' : ''}`, bag.travelerId))
+    ].join(', ');
+}
+
+module.exports = { summarizeSeatMap, summarizeBagOptions, applyAncillaries, mergeAncillaries, describeAncillaries };
@@ -0,0 +1,15 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { redact } = require('./redact');
+
+// Append-only audit trail of confirmed and rejected side-effecting actions, one JSON object per line.
+// Entries go through lib/redact.js like the logs, so guest and traveler details are not kept.
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(__dirname, '..', 'data', 'audit.log');
+
+async function appendAuditEntry(entry) {
+    const line = JSON.stringify(redact({ timestamp: new Date().toISOString(), ...entry }));
+    await fs.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+    await fs.appendFile(AUDIT_LOG_FILE, `${line}\n`, { flag: 'a' });
+}
+
+module.exports = { appendAuditEntry };
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// Who is calling the API. Users are configured as "userId:apiKey" pairs (AUTH_API_KEYS);
+// a key can be sent as is, or exchanged at /api/auth/login for a signed session token that the
+// browser keeps in an HttpOnly cookie. Tokens are "<payload>.<signature>", the payload being
+// base64url JSON { sub, exp } signed with HMAC-SHA256, so they need no server-side storage.
+
+const TOKEN_COOKIE = 'auth_token';
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest();
+const base64url = value => Buffer.from(value).toString('base64url');
+
+// "alice:key1, bob:key2" -> [{ userId, keyHash }]
+function parseApiKeys(value) {
+    return String(value || '').split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map((entry, index) => {
+            const separator = entry.indexOf(':');
+            if (separator <= 0 || separator === entry.length - 1) {
+                throw new Error(`Invalid AUTH_API_KEYS entry ${index + 1}: expected userId:apiKey`);
+            }
+            return { userId: entry.slice(0, separator).trim(), keyHash: sha256(entry.slice(separator + 1).trim()) };
+        });
+}
+
+// Values are returned as sent; the token cookie only holds URL-safe characters
+function parseCookies(header) {
+    return Object.fromEntries(String(header || '').split(';')
+        .map(part => part.trim())
+        .filter(part => part.includes('='))
+        .map(part => [part.slice(0, part.indexOf('=')), part.slice(part.indexOf('=') + 1)]));
+}
+
+function createAuth({ apiKeys = '', tokenSecret, tokenTtlMs = 12 * 60 * 60 * 1000 } = {}) {
+    const users = parseApiKeys(apiKeys);
+    // Without a configured secret, tokens only last until the server restarts
+    const secret = tokenSecret || crypto.randomBytes(32).toString('hex');
+
+    const sign = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    // Every key is compared, in constant time, so the answer time does not tell which one nearly matched
+    function userForApiKey(apiKey) {
+        if (typeof apiKey !== 'string' || !apiKey) {
+            return null;
+        }
+        const keyHash = sha256(apiKey);
+        let userId = null;
+        for (const user of users) {
+            if (crypto.timingSafeEqual(user.keyHash, keyHash)) {
+                userId = user.userId;
+            }
+        }
+        return userId;
+    }
+
+    function issueToken(userId) {
+        const expiresAt = Date.now() + tokenTtlMs;
+        const payload = base64url(JSON.stringify({ sub: userId, exp: expiresAt }));
+        return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    // The userId of a valid, unexpired token, or null
+    function verifyToken(token) {
+        const [payload, signature, extra] = String(token || '').split('.');
+        if (!payload || !signature || extra !== undefined) {
+            return null;
+        }
+        const expected = Buffer.from(sign(payload));
+        if (expected.length !== Buffer.byteLength(signature) || !crypto.timingSafeEqual(expected, Buffer.from(signature))) {
+            return null;
+        }
+        try {
+            const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return typeof sub === 'string' && exp > Date.now() ? sub : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // The user making the request: an X-API-Key header, an Authorization: Bearer header
+    // (API key or session token), or the session cookie. Returns { id, method } or null.
+    function authenticate(req) {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            const userId = userForApiKey(apiKey);
+            return userId ? { id: userId, method: 'api_key' } : null;
+        }
+
+        const [scheme, credentials] = String(req.get('Authorization') || '').split(' ');
+        if (scheme && scheme.toLowerCase() === 'bearer' && credentials) {
+            const tokenUser = verifyToken(credentials);
+            if (tokenUser) {
+                return { id: tokenUser, method: 'token' };
+            }
+            const userId = userForApiKey(credentials);
+            return userId ? { id: userId, method: 'api_key' } : null;
+        }
+
+        const cookieUser = verifyToken(parseCookies(req.get('Cookie'))[TOKEN_COOKIE]);
+        return cookieUser ? { id: cookieUser, method: 'cookie' } : null;
+    }
+
+    return {
+        enabled: users.length > 0,
+        userForApiKey,
+        issueToken,
+        verifyToken,
+        authenticate
+    };
+}
+
+module.exports = { createAuth, TOKEN_COOKIE };
@@ -0,0 +1,109 @@
+// Summaries of On-Demand Flight Status results (DatedFlight) and the changes between two of them.
+// Timings carry the airport's UTC offset ("2030-06-12T08:35+03:00"), so they compare as instants.
+
+// Delays shorter than this do not make a flight DELAYED or count as a change
+const DELAY_THRESHOLD_MINUTES = 15;
+
+// "PT1H25M" in minutes
+function isoDurationMinutes(duration) {
+    const match = /^PT(?:(\d+)H)?(?:(\d+)M)?/.exec(duration || '');
+    return match ? (parseInt(match[1] || '0', 10) * 60) + parseInt(match[2] || '0', 10) : 0;
+}
+
+function timingValue(timings, qualifier) {
+    const timing = (timings || []).find(candidate => candidate.qualifier === qualifier);
+    return timing ? timing.value : null;
+}
+
+// Departure or arrival side of a flight point; qualifiers are STD/ETD/ATD or STA/ETA/ATA
+function summarizePoint(point, side) {
+    const details = (point && point[side]) || {};
+    const letter = side === 'departure' ? 'D' : 'A';
+    const scheduled = timingValue(details.timings, `ST${letter}`);
+    const estimated = timingValue(details.timings, `ET${letter}`);
+    const actual = timingValue(details.timings, `AT${letter}`);
+
+    const reported = (details.timings || []).flatMap(timing => timing.delays || []).map(delay => isoDurationMinutes(delay.duration));
+    const latest = actual || estimated;
+    const delayMinutes = reported.length > 0
+        ? Math.max(...reported)
+        : scheduled && latest ? Math.max(0, Math.round((Date.parse(latest) - Date.parse(scheduled)) / 60000)) : 0;
+
+    return {
+        iataCode: point ? point.iataCode : null,
+        scheduled,
+        estimated,
+        actual,
+        terminal: details.terminal ? details.terminal.code : null,
+        gate: details.gate ? details.gate.mainGate : null,
+        delayMinutes
+    };
+}
+
+function summarizeFlightStatus(datedFlight) {
+    const points = datedFlight.flightPoints || [];
+    const departure = summarizePoint(points.find(point => point.departure), 'departure');
+    const arrival = summarizePoint([...points].reverse().find(point => point.arrival), 'arrival');
+
+    let status = 'SCHEDULED';
+    if (arrival.actual) {
+        status = 'LANDED';
+    } else if (departure.actual) {
+        status = 'DEPARTED';
+    } else if (departure.delayMinutes >= DELAY_THRESHOLD_MINUTES) {
+        status = 'DELAYED';
+    }
+
+    const designator = datedFlight.flightDesignator;
+    return {
+        flight: `${designator.carrierCode}${designator.flightNumber}${designator.operationalSuffix || ''}`,
+        date: datedFlight.scheduledDepartureDate,
+        status,
+        departure,
+        arrival,
+        aircraft: (datedFlight.legs || []).map(leg => leg.aircraftEquipment && leg.aircraftEquipment.aircraftType).filter(Boolean)[0] || null
+    };
+}
+
+// What a flight that dropped out of the schedule looks like: the last known status, cancelled
+function cancelledStatus(previous) {
+    return { ...previous, status: 'CANCELLED' };
+}
+
+function formatTime(value) {
+    return value ? value.slice(11, 16) : 'unknown';
+}
+
+// Human-readable changes from one summary to the next, e.g. "Departure gate changed from B12 to C4"
+function compareFlightStatus(previous, current) {
+    const changes = [];
+
+    if (current.status !== previous.status) {
+        const described = {
+            DELAYED: `Delayed by ${current.departure.delayMinutes} minutes, now departing at ${formatTime(current.departure.estimated)}`,
+            DEPARTED: `Departed from ${current.departure.iataCode} at ${formatTime(current.departure.actual)}`,
+            LANDED: `Landed in ${current.arrival.iataCode} at ${formatTime(current.arrival.actual)}`,
+            CANCELLED: 'No longer listed in the schedule; it may have been cancelled',
+            SCHEDULED: `Back on schedule, departing at ${formatTime(current.departure.estimated || current.departure.scheduled)}`
+        };
+        changes.push(described[current.status]);
+    } else if (current.status === 'DELAYED' &&
+        Math.abs(current.departure.delayMinutes - previous.departure.delayMinutes) >= DELAY_THRESHOLD_MINUTES) {
+        changes.push(`Delay is now ${current.departure.delayMinutes} minutes, departing at ${formatTime(current.departure.estimated)}`);
+    }
+
+    for (const side of ['departure', 'arrival']) {
+        const label = side === 'departure' ? 'Departure' : 'Arrival';
+        for (const field of ['terminal', 'gate']) {
+            if (current[side][field] && current[side][field] !== previous[side][field]) {
+                changes.push(previous[side][field]
+                    ? `${label} ${field} changed from ${previous[side][field]} to ${current[side][field]}`
+                    : `${label} ${field} is ${current[side][field]}`);
+            }
+        }
+    }
+
+    return changes;
+}
+
+module.exports = { summarizeFlightStatus, compareFlightStatus, cancelledStatus };
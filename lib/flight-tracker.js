@@ -0,0 +1,66 @@
+const trackedFlightStore = require('./tracked-flight-store');
+const { compareFlightStatus, cancelledStatus } = require('./flight-status');
+const { createPoller } = require('./poller');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'flight-tracker' });
+
+// Polls the status of tracked flights and reports what changed.
+// fetchStatus(tracked) resolves to the lib/flight-status.js summary, or null when the flight is no
+// longer in the schedule; notify(tracked, changes) is called with the messages of every change.
+
+// Flights are no longer polled this long after their scheduled departure day
+const TRACKING_GRACE_DAYS = 2;
+
+function isPastTracking(tracked) {
+    const end = new Date(`${tracked.date}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + TRACKING_GRACE_DAYS);
+    return Date.now() >= end.getTime();
+}
+
+function createFlightTracker({ fetchStatus, notify, intervalMs }) {
+    // Runs one check and saves the result; returns the updated flight (null if it was deleted meanwhile)
+    async function checkTrackedFlight(tracked) {
+        const now = new Date().toISOString();
+
+        if (isPastTracking(tracked)) {
+            tracked.status = 'COMPLETED';
+        } else {
+            try {
+                const flightStatus = (await fetchStatus(tracked)) || cancelledStatus(tracked.flightStatus);
+                const changes = compareFlightStatus(tracked.flightStatus, flightStatus);
+                tracked.flightStatus = flightStatus;
+                tracked.lastError = null;
+
+                if (changes.length > 0) {
+                    tracked.changes.push({ at: now, status: flightStatus.status, messages: changes });
+                    await notify(tracked, changes);
+                }
+                if (flightStatus.status === 'LANDED' || flightStatus.status === 'CANCELLED') {
+                    tracked.status = 'COMPLETED';
+                }
+            } catch (error) {
+                log.error(`Status check failed for tracked flight ${tracked.id}`, { trackingId: tracked.id, error });
+                tracked.lastError = error.message;
+            }
+            tracked.lastCheckedAt = now;
+        }
+
+        if (!(await trackedFlightStore.getTrackedFlight(tracked.id))) {
+            return null;
+        }
+        return trackedFlightStore.saveTrackedFlight(tracked);
+    }
+
+    const poller = createPoller({
+        listRecords: () => trackedFlightStore.listTrackedFlights(),
+        checkRecord: checkTrackedFlight,
+        intervalMs,
+        log,
+        name: 'Flight tracking'
+    });
+
+    return { checkTrackedFlight, checkDueFlights: poller.checkDue, start: poller.start, stop: poller.stop };
+}
+
+module.exports = { createFlightTracker };
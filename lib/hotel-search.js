@@ -0,0 +1,71 @@
+// Hotel List results (by city, geocode or hotel IDs) made small enough for the model:
+// one short record per hotel, optionally ranked by the guest ratings of Hotel Sentiments, and cut into pages.
+
+const DEFAULT_PAGE_SIZE = 10;
+
+function summarizeHotel(hotel) {
+    return {
+        hotelId: hotel.hotelId,
+        name: hotel.name,
+        chainCode: hotel.chainCode || null,
+        cityCode: hotel.iataCode || null,
+        stars: hotel.rating ? Number(hotel.rating) : null,
+        // Only geocode searches and city searches with a radius report how far the hotel is
+        distance: hotel.distance ? { value: hotel.distance.value, unit: hotel.distance.unit } : null,
+        geoCode: hotel.geoCode || null
+    };
+}
+
+// Adds guestRating (0-100) and reviews from the Hotel Sentiments results; hotels without one get null
+function mergeSentiments(hotels, sentiments) {
+    const byHotel = new Map((sentiments || []).map(sentiment => [sentiment.hotelId, sentiment]));
+    return hotels.map(hotel => {
+        const sentiment = byHotel.get(hotel.hotelId);
+        return {
+            ...hotel,
+            guestRating: sentiment ? sentiment.overallRating : null,
+            reviews: sentiment ? sentiment.numberOfReviews : null
+        };
+    });
+}
+
+const SORT_KEYS = {
+    rating: hotel => hotel.guestRating,
+    stars: hotel => hotel.stars,
+    distance: hotel => (hotel.distance ? -hotel.distance.value : null)
+};
+
+// Best first; hotels without the value keep the API's order after the others
+function rankHotels(hotels, sortBy) {
+    const key = SORT_KEYS[sortBy];
+    if (!key) {
+        return hotels;
+    }
+    const known = hotels.filter(hotel => key(hotel) !== null && key(hotel) !== undefined);
+    const unknown = hotels.filter(hotel => !known.includes(hotel));
+    return [...known.sort((a, b) => key(b) - key(a)), ...unknown];
+}
+
+function paginate(items, page = 1, pageSize = DEFAULT_PAGE_SIZE) {
+    const pages = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(page, pages);
+    return {
+        items: items.slice((current - 1) * pageSize, current * pageSize),
+        page: current,
+        pageSize,
+        pages,
+        total: items.length
+    };
+}
+
+// One line per hotel for the model, e.g. "MOCK HOTEL LOUVRE (RTPAR001): 4 stars, 0.4 KM, rated 88/100 by 1254 reviews"
+function describeHotel(hotel) {
+    const facts = [
+        hotel.stars && `${hotel.stars} stars`,
+        hotel.distance && `${hotel.distance.value} ${hotel.distance.unit}`,
+        hotel.guestRating !== null && hotel.guestRating !== undefined && `rated ${hotel.guestRating}/100 by ${hotel.reviews} reviews`
+    ].filter(Boolean);
+    return `${hotel.name} (${hotel.hotelId})${facts.length > 0 ? `: ${facts.join(', ')}` : ''}`;
+}
+
+module.exports = { summarizeHotel, mergeSentiments, rankHotels, paginate, describeHotel, DEFAULT_PAGE_SIZE };
@@ -0,0 +1,176 @@
+// Exports of an itinerary (as returned by describeItinerary in lib/itinerary.js):
+// an iCalendar file for calendar apps and a printable HTML page the browser can save as PDF.
+
+const PRODUCT_ID = '-//Amadeus Travel Assistant//Itinerary//EN';
+
+// --- iCalendar ---
+
+// Escape a TEXT value (RFC 5545, 3.3.11)
+function icsText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function icsDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function nextDay(date) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().split('T')[0];
+}
+
+// Flight and activity times are local to where they happen, so they are written as floating times
+function eventTimes(item) {
+    if (item.start.length > 10) {
+        return [`DTSTART:${icsDate(item.start).replace(':', '')}00`, `DTEND:${icsDate(item.end).replace(':', '')}00`];
+    }
+    // All-day events end on the day after their last day
+    const end = item.kind === 'hotel' ? item.end : nextDay(item.end);
+    return [`DTSTART;VALUE=DATE:${icsDate(item.start)}`, `DTEND;VALUE=DATE:${icsDate(end)}`];
+}
+
+function itemDescription(item) {
+    return [
+        ...item.details,
+        ...(item.price ? [`Price: ${item.price.amount} ${item.price.currency}`] : []),
+        ...(item.bookingReference ? [`Booking reference: ${item.bookingReference}`] : []),
+        ...(item.note ? [`Note: ${item.note}`] : [])
+    ].join('\n');
+}
+
+function itemSummary(item) {
+    if (item.kind === 'flight') return `Flight ${item.title}`;
+    if (item.kind === 'hotel') return `Hotel: ${item.title}`;
+    return item.title;
+}
+
+function toICalendar(itinerary) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(itinerary.title)}`
+    ];
+
+    for (const item of itinerary.items) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${item.id}@amadeus-travel-assistant`,
+            `DTSTAMP:${stamp}`,
+            ...eventTimes(item),
+            `SUMMARY:${icsText(itemSummary(item))}`,
+            ...(item.kind === 'flight' ? [`LOCATION:${icsText(item.from)}`] : item.location ? [`LOCATION:${icsText(item.location)}`] : []),
+            ...(itemDescription(item) ? [`DESCRIPTION:${icsText(itemDescription(item))}`] : []),
+            'END:VEVENT'
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// --- Printable Summary ---
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatDay(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' });
+}
+
+function itemRow(item) {
+    const when = item.start.length > 10
+        ? `${item.start.replace('T', ' ')} – ${item.end.replace('T', ' ')}`
+        : item.start === item.end ? item.start : `${item.start} – ${item.end}`;
+    const extra = [
+        ...item.details,
+        ...(item.bookingReference ? [`Booking reference: ${item.bookingReference}`] : []),
+        ...(item.note ? [`Note: ${item.note}`] : [])
+    ];
+    return `
+        <tr>
+            <td>${escapeHtml(itemSummary(item))}${extra.map(line => `<div class="detail">${escapeHtml(line)}</div>`).join('')}</td>
+            <td>${escapeHtml(when)}</td>
+            <td class="amount">${item.price ? escapeHtml(`${item.price.amount} ${item.price.currency}`) : ''}</td>
+        </tr>`;
+}
+
+function toPrintableHtml(itinerary) {
+    const dates = itinerary.startDate ? `${itinerary.startDate} to ${itinerary.endDate}` : 'No dates yet';
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHtml(itinerary.title)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #222; max-width: 800px; margin: 30px auto; padding: 0 20px; }
+        h1 { margin-bottom: 0; }
+        .dates { color: #666; margin-bottom: 20px; }
+        .conflicts { border: 2px solid #c0392b; border-radius: 6px; padding: 10px 15px; margin-bottom: 20px; }
+        .conflicts h2 { color: #c0392b; font-size: 1em; margin: 0 0 5px 0; }
+        .day { margin-bottom: 15px; page-break-inside: avoid; }
+        .day h3 { border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-bottom: 6px; }
+        .entry { display: flex; gap: 15px; padding: 2px 0; }
+        .time { width: 50px; color: #007bff; font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; margin-top: 10px; }
+        th, td { text-align: left; padding: 6px; border-bottom: 1px solid #eee; vertical-align: top; }
+        .detail { color: #666; font-size: 0.85em; }
+        .amount { text-align: right; white-space: nowrap; }
+        .print-btn { padding: 8px 16px; margin-bottom: 20px; cursor: pointer; }
+        @media print { .print-btn { display: none; } body { margin: 0; } }
+    </style>
+</head>
+<body>
+    <button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+    <h1>${escapeHtml(itinerary.title)}</h1>
+    <div class="dates">${escapeHtml(dates)}</div>
+    ${itinerary.conflicts.length > 0 ? `
+    <div class="conflicts">
+        <h2>Check these before you go</h2>
+        ${itinerary.conflicts.map(conflict => `<div>${escapeHtml(conflict.message)}</div>`).join('')}
+    </div>` : ''}
+    ${itinerary.days.map(day => `
+    <div class="day">
+        <h3>${escapeHtml(formatDay(day.date))}</h3>
+        ${day.entries.map(entry => `<div class="entry"><span class="time">${entry.time || ''}</span><span>${escapeHtml(entry.label)}</span></div>`).join('')}
+    </div>`).join('')}
+    <h2>Details</h2>
+    <table>
+        <tr><th>Item</th><th>When</th><th class="amount">Price</th></tr>
+        ${itinerary.items.map(itemRow).join('')}
+        ${itinerary.total ? `<tr><th colspan="2">Total</th><th class="amount">${escapeHtml(`${itinerary.total.amount} ${itinerary.total.currency}`)}</th></tr>` : ''}
+    </table>
+</body>
+</html>
+`;
+}
+
+module.exports = { toICalendar, toPrintableHtml };
@@ -0,0 +1,56 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./json-file-store');
+
+// Trip itineraries: the flights, hotels and activities the user chose, as built by lib/itinerary.js.
+// One JSON file per itinerary in ITINERARIES_DIR; a chat session has at most one itinerary.
+// Each keeps the id of the user it belongs to.
+const ITINERARIES_DIR = process.env.ITINERARIES_DIR || path.join(__dirname, '..', 'data', 'itineraries');
+
+const DEFAULT_ITINERARY_TITLE = 'My trip';
+
+const store = createJsonFileStore(ITINERARIES_DIR);
+
+async function createItinerary({ title, sessionId, userId } = {}) {
+    const now = new Date().toISOString();
+    const itinerary = {
+        id: crypto.randomUUID(),
+        title: title || DEFAULT_ITINERARY_TITLE,
+        sessionId: sessionId || null,
+        userId: userId || null,
+        createdAt: now,
+        updatedAt: now,
+        items: []
+    };
+    return store.write(itinerary);
+}
+
+async function getItinerary(id) {
+    return store.read(id);
+}
+
+// Most recently updated first, optionally only the itinerary of one chat session or those of one user
+async function listItineraries({ sessionId, userId } = {}) {
+    const itineraries = await store.readAll();
+    return itineraries
+        .filter(itinerary => !sessionId || itinerary.sessionId === sessionId)
+        .filter(itinerary => !userId || itinerary.userId === userId)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function saveItinerary(itinerary) {
+    itinerary.updatedAt = new Date().toISOString();
+    return store.write(itinerary);
+}
+
+async function deleteItinerary(id) {
+    return store.remove(id);
+}
+
+module.exports = {
+    createItinerary,
+    getItinerary,
+    listItineraries,
+    saveItinerary,
+    deleteItinerary
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+
+// Itinerary items built from Amadeus results, the day-by-day plan and its conflicts.
+// Times are the local times Amadeus returns ("YYYY-MM-DDTHH:MM"), without a time zone;
+// hotel stays and activities without a time are whole days ("YYYY-MM-DD").
+
+// Activities with no duration in their description are planned for this long
+const DEFAULT_ACTIVITY_MINUTES = 120;
+
+function dateOf(value) {
+    return value.slice(0, 10);
+}
+
+function timeOf(value) {
+    return value.length > 10 ? value.slice(11, 16) : null;
+}
+
+function addMinutes(value, minutes) {
+    const date = new Date(`${value}:00Z`);
+    date.setUTCMinutes(date.getUTCMinutes() + minutes);
+    return date.toISOString().slice(0, 16);
+}
+
+function newItem(fields, { bookingReference, note } = {}) {
+    return {
+        id: crypto.randomUUID(),
+        ...fields,
+        bookingReference: bookingReference || null,
+        note: note || null,
+        addedAt: new Date().toISOString()
+    };
+}
+
+// --- Items ---
+
+// One item per itinerary of the offer (outbound and return of a round trip); the price is on the first
+function flightItems(offer, options) {
+    const groupId = crypto.randomUUID();
+    return offer.itineraries.map((itinerary, index) => {
+        const segments = itinerary.segments;
+        const first = segments[0];
+        const last = segments[segments.length - 1];
+        return newItem({
+            kind: 'flight',
+            groupId,
+            title: `${segments.map(segment => `${segment.carrierCode}${segment.number}`).join(' / ')} ${first.departure.iataCode} → ${last.arrival.iataCode}`,
+            start: first.departure.at.slice(0, 16),
+            end: last.arrival.at.slice(0, 16),
+            from: first.departure.iataCode,
+            to: last.arrival.iataCode,
+            details: segments.map(segment => `${segment.carrierCode}${segment.number} ${segment.departure.iataCode} ${segment.departure.at.slice(11, 16)} → ${segment.arrival.iataCode} ${segment.arrival.at.slice(11, 16)}`),
+            price: index === 0 ? { amount: offer.price.grandTotal || offer.price.total, currency: offer.price.currency } : null,
+            source: { offerId: offer.id }
+        }, options);
+    });
+}
+
+function hotelItem({ hotel, offer }, options) {
+    return newItem({
+        kind: 'hotel',
+        title: hotel.name,
+        start: offer.checkInDate,
+        end: offer.checkOutDate,
+        location: [hotel.name, hotel.cityCode].filter(Boolean).join(', '),
+        details: [offer.room && offer.room.description && offer.room.description.text].filter(Boolean),
+        price: { amount: offer.price.total, currency: offer.price.currency },
+        source: { offerId: offer.id, hotelId: hotel.hotelId }
+    }, options);
+}
+
+// "2 hours", "90 minutes" or "1 hour 30 minutes" in minutes
+function parseDuration(text) {
+    const hours = /(\d+)\s*hour/i.exec(text || '');
+    const minutes = /(\d+)\s*min/i.exec(text || '');
+    const total = (hours ? parseInt(hours[1], 10) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0);
+    return total || DEFAULT_ACTIVITY_MINUTES;
+}
+
+function activityItem(activity, { date, time, ...options }) {
+    const start = time ? `${date}T${time}` : date;
+    return newItem({
+        kind: 'activity',
+        title: activity.name,
+        start,
+        end: time ? addMinutes(start, parseDuration(activity.minimumDuration)) : date,
+        location: activity.geoCode ? `${activity.geoCode.latitude},${activity.geoCode.longitude}` : null,
+        details: [activity.shortDescription, activity.bookingLink].filter(Boolean),
+        price: activity.price && activity.price.amount ? { amount: activity.price.amount, currency: activity.price.currencyCode } : null,
+        source: { activityId: activity.id }
+    }, options);
+}
+
+function sortItems(items) {
+    return [...items].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// --- Day-by-day Plan ---
+
+// Entries without a time sort by these slots: check-outs first, activities last
+function planEntries(item) {
+    if (item.kind === 'flight') {
+        const arrival = dateOf(item.end) === dateOf(item.start) ? timeOf(item.end) : `${timeOf(item.end)} (${dateOf(item.end)})`;
+        return [{ date: dateOf(item.start), time: timeOf(item.start), sortKey: timeOf(item.start), label: `Flight ${item.title}, lands ${arrival}` }];
+    }
+    if (item.kind === 'hotel') {
+        return [
+            { date: item.start, time: null, sortKey: '15:00', label: `Check in at ${item.title}` },
+            { date: item.end, time: null, sortKey: '11:00', label: `Check out of ${item.title}` }
+        ];
+    }
+    return [{ date: dateOf(item.start), time: timeOf(item.start), sortKey: timeOf(item.start) || '99:99', label: item.title }];
+}
+
+// [{ date, entries: [{ itemId, kind, time, label }] }] for every day with something planned
+function planDays(items) {
+    const days = new Map();
+    for (const item of items) {
+        for (const entry of planEntries(item)) {
+            if (!days.has(entry.date)) {
+                days.set(entry.date, []);
+            }
+            days.get(entry.date).push({ itemId: item.id, kind: item.kind, ...entry });
+        }
+    }
+
+    return [...days.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, entries]) => ({
+            date,
+            entries: entries
+                .sort((a, b) => a.sortKey.localeCompare(b.sortKey))
+                .map(({ itemId, kind, time, label }) => ({ itemId, kind, time, label }))
+        }));
+}
+
+// --- Conflicts ---
+
+function overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
+
+// [{ message, itemIds }] for plans that cannot work as they are
+function findConflicts(items) {
+    const conflicts = [];
+    const sorted = sortItems(items);
+    const flights = sorted.filter(item => item.kind === 'flight');
+    const hotels = sorted.filter(item => item.kind === 'hotel');
+    const timed = sorted.filter(item => item.kind === 'flight' || (item.kind === 'activity' && timeOf(item.start)));
+    const firstFlight = flights[0];
+
+    timed.forEach((item, index) => {
+        timed.slice(index + 1).filter(other => overlaps(item, other)).forEach(other => {
+            conflicts.push({ message: `${item.title} (${item.start.replace('T', ' ')}) overlaps with ${other.title} (${other.start.replace('T', ' ')}).`, itemIds: [item.id, other.id] });
+        });
+    });
+
+    hotels.forEach((hotel, index) => {
+        const beforeLanding = firstFlight && dateOf(firstFlight.end) > hotel.start;
+        if (beforeLanding) {
+            conflicts.push({ message: `Check-in at ${hotel.title} on ${hotel.start} is before your flight ${firstFlight.title} lands on ${dateOf(firstFlight.end)}.`, itemIds: [hotel.id, firstFlight.id] });
+        }
+        // The flight that lands after check-in was reported just above
+        flights.filter(flight => !(beforeLanding && flight === firstFlight) && dateOf(flight.start) > hotel.start && dateOf(flight.start) < hotel.end).forEach(flight => {
+            conflicts.push({ message: `Flight ${flight.title} on ${dateOf(flight.start)} leaves during your stay at ${hotel.title} (${hotel.start} to ${hotel.end}).`, itemIds: [flight.id, hotel.id] });
+        });
+        hotels.slice(index + 1).filter(other => overlaps(hotel, other)).forEach(other => {
+            conflicts.push({ message: `Your stays at ${hotel.title} and ${other.title} overlap.`, itemIds: [hotel.id, other.id] });
+        });
+    });
+
+    sorted.filter(item => item.kind === 'activity' && firstFlight && dateOf(item.start) < dateOf(firstFlight.end)).forEach(activity => {
+        conflicts.push({ message: `${activity.title} on ${dateOf(activity.start)} is before you arrive on ${dateOf(firstFlight.end)}.`, itemIds: [activity.id, firstFlight.id] });
+    });
+
+    return conflicts;
+}
+
+// The itinerary with its items in order, the plan by day and the conflicts
+function describeItinerary(itinerary) {
+    const items = sortItems(itinerary.items);
+    const prices = items.filter(item => item.price);
+    const currencies = [...new Set(prices.map(item => item.price.currency))];
+    return {
+        ...itinerary,
+        items,
+        startDate: items.length > 0 ? dateOf(items[0].start) : null,
+        endDate: items.length > 0 ? items.map(item => dateOf(item.end)).sort().at(-1) : null,
+        // Only added up when every price is in the same currency
+        total: currencies.length === 1
+            ? { amount: prices.reduce((sum, item) => sum + Number(item.price.amount), 0).toFixed(2), currency: currencies[0] }
+            : null,
+        days: planDays(items),
+        conflicts: findConflicts(items)
+    };
+}
+
+module.exports = {
+    flightItems,
+    hotelItem,
+    activityItem,
+    planDays,
+    findConflicts,
+    describeItinerary
+};
@@ -0,0 +1,95 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// One JSON file per record in a directory, keyed by a UUID.
+// Writes to the same record are chained and go through a temporary file,
+// so concurrent saves never interleave and a crash never leaves a half-written file.
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function createJsonFileStore(dir) {
+    const pendingWrites = new Map();
+
+    function recordPath(id) {
+        if (!ID_PATTERN.test(id)) {
+            return null;
+        }
+        return path.join(dir, `${id}.json`);
+    }
+
+    async function write(record) {
+        const file = recordPath(record.id);
+        const previous = pendingWrites.get(record.id) || Promise.resolve();
+
+        const pending = previous.catch(() => {}).then(async () => {
+            await fs.mkdir(dir, { recursive: true });
+            const tmpFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(record, null, 2));
+            await fs.rename(tmpFile, file);
+        });
+
+        pendingWrites.set(record.id, pending);
+        try {
+            await pending;
+        } finally {
+            if (pendingWrites.get(record.id) === pending) {
+                pendingWrites.delete(record.id);
+            }
+        }
+        return record;
+    }
+
+    async function read(id) {
+        const file = recordPath(id);
+        if (!file) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Unreadable files are skipped
+    async function readAll() {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const records = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => read(path.basename(file, '.json')).catch(() => null)));
+        return records.filter(Boolean);
+    }
+
+    async function remove(id) {
+        const file = recordPath(id);
+        if (!file) {
+            return false;
+        }
+
+        try {
+            await fs.unlink(file);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    return { read, readAll, write, remove };
+}
+
+module.exports = { createJsonFileStore };
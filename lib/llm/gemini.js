@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Gemini adapter on top of @google/generative-ai.
+// Gemini has no tool call ids: calls are matched to results by name and order, and ids are generated here.
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+
+// Gemini accepts a subset of OpenAPI schema; keep only the keywords it understands
+function toGeminiSchema(schema) {
+    const converted = { type: schema.type };
+    if (schema.description) converted.description = schema.description;
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.items) converted.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+        converted.properties = Object.fromEntries(Object.entries(schema.properties)
+            .map(([name, property]) => [name, toGeminiSchema(property)]));
+    }
+    if (schema.required) converted.required = schema.required;
+    return converted;
+}
+
+function toGeminiContents(messages) {
+    return messages.map(message => {
+        if (message.role === 'user') {
+            return { role: 'user', parts: [{ text: message.text }] };
+        }
+        if (message.role === 'assistant') {
+            const parts = [
+                ...(message.text ? [{ text: message.text }] : []),
+                ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.args } }))
+            ];
+            return { role: 'model', parts: parts.length > 0 ? parts : [{ text: '' }] };
+        }
+        return {
+            role: 'function',
+            parts: message.results.map(result => ({
+                functionResponse: { name: result.name, response: { name: result.name, content: result.content } }
+            }))
+        };
+    });
+}
+
+// Inverse of toGeminiContents, for histories stored in Gemini's format
+function fromGeminiContents(contents) {
+    let lastCalls = [];
+    return contents.map((content, index) => {
+        const text = content.parts.filter(part => part.text !== undefined).map(part => part.text).join('');
+        const responses = content.parts.filter(part => part.functionResponse);
+
+        if (responses.length > 0) {
+            return {
+                role: 'tool',
+                results: responses.map((part, position) => ({
+                    id: lastCalls[position] ? lastCalls[position].id : `call_${index}_${position}`,
+                    name: part.functionResponse.name,
+                    content: part.functionResponse.response.content !== undefined
+                        ? part.functionResponse.response.content
+                        : part.functionResponse.response
+                }))
+            };
+        }
+        if (content.role === 'model') {
+            lastCalls = content.parts.filter(part => part.functionCall).map((part, position) => ({
+                id: `call_${index}_${position}`,
+                name: part.functionCall.name,
+                args: part.functionCall.args || {}
+            }));
+            return { role: 'assistant', text, toolCalls: lastCalls };
+        }
+        return { role: 'user', text };
+    });
+}
+
+function createProvider({ apiKey, model = DEFAULT_MODEL, temperature } = {}) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const generationConfig = temperature !== undefined ? { temperature } : undefined;
+
+    async function chat({ system, messages, tools = [], signal, onText = () => {} }) {
+        const generativeModel = genAI.getGenerativeModel({
+            model,
+            generationConfig,
+            tools: tools.length > 0 ? [{ functionDeclarations: tools.map(tool => ({ ...tool, parameters: toGeminiSchema(tool.parameters) })) }] : undefined,
+            systemInstruction: system ? { parts: [{ text: system }] } : undefined
+        });
+
+        const result = await generativeModel.generateContentStream({ contents: toGeminiContents(messages) }, { signal });
+        for await (const chunk of result.stream) {
+            const delta = chunk.text();
+            if (delta) {
+                onText(delta);
+            }
+        }
+
+        const response = await result.response;
+        const usage = response.usageMetadata;
+        return {
+            text: response.text(),
+            toolCalls: (response.functionCalls() || []).map(call => ({
+                id: `call_${crypto.randomUUID()}`,
+                name: call.name,
+                args: call.args || {}
+            })),
+            ...(usage ? { usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 } } : {})
+        };
+    }
+
+    async function complete(prompt) {
+        const result = await genAI.getGenerativeModel({ model, generationConfig }).generateContent(prompt);
+        return result.response.text();
+    }
+
+    return { name: 'gemini', model, chat, complete };
+}
+
+module.exports = { createProvider, toGeminiContents, fromGeminiContents };
@@ -0,0 +1,39 @@
+// LLM providers behind one interface, so the chat loop does not depend on any vendor SDK.
+//
+// A provider is { name, model, chat, complete }:
+//   chat({ system, messages, tools, signal, onText }) resolves to { text, toolCalls: [{ id, name, args }], usage }
+//     and reports generated text through onText(delta) as it streams in. usage is { inputTokens, outputTokens }
+//     when the provider reports it.
+//   complete(prompt) resolves to the text of a single request without tools (used for summaries).
+//
+// Conversations use a provider-neutral message format, which is also what sessions store:
+//   { role: 'user', text }
+//   { role: 'assistant', text, toolCalls: [{ id, name, args }] }
+//   { role: 'tool', results: [{ id, name, content }] }  -- answers every call of the previous assistant message
+//
+// `tools` are the JSON Schema declarations from lib/tool-declarations.js.
+
+const PROVIDERS = {
+    gemini: './gemini',
+    openai: './openai',
+    scripted: './scripted'
+};
+
+// Adapters are loaded on demand so only the selected provider's dependencies are needed
+function createProvider(name, options = {}) {
+    const modulePath = PROVIDERS[name];
+    if (!modulePath) {
+        throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return require(modulePath).createProvider(options);
+}
+
+// Sessions saved before the provider layer hold Gemini contents ({ role, parts }); convert them on load
+function normalizeHistory(history) {
+    if (!history.some(entry => entry.parts)) {
+        return history;
+    }
+    return require('./gemini').fromGeminiContents(history);
+}
+
+module.exports = { createProvider, normalizeHistory };
@@ -0,0 +1,136 @@
+const axios = require('axios');
+
+// Adapter for any endpoint implementing the OpenAI Chat Completions API with tool calling:
+// OpenAI itself, and locally hosted models behind servers such as vLLM, llama.cpp or Ollama.
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+function toOpenAIMessages(system, messages) {
+    const converted = system ? [{ role: 'system', content: system }] : [];
+    for (const message of messages) {
+        if (message.role === 'user') {
+            converted.push({ role: 'user', content: message.text });
+        } else if (message.role === 'assistant') {
+            const toolCalls = message.toolCalls || [];
+            converted.push({
+                role: 'assistant',
+                content: message.text || null,
+                ...(toolCalls.length > 0 ? {
+                    tool_calls: toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.args) }
+                    }))
+                } : {})
+            });
+        } else {
+            message.results.forEach(result => converted.push({
+                role: 'tool',
+                tool_call_id: result.id,
+                content: JSON.stringify(result.content)
+            }));
+        }
+    }
+    return converted;
+}
+
+// Read a streamed completion (Server-Sent Events), assembling text and tool calls from the deltas
+async function readCompletionStream(stream, onText) {
+    let text = '';
+    const toolCalls = [];
+    let usage = null;
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const data = line.trim().replace(/^data:\s*/, '');
+            if (!line.trim().startsWith('data:') || data === '[DONE]') {
+                continue;
+            }
+            const event = JSON.parse(data);
+            // The last chunk carries the token usage and no choices
+            if (event.usage) {
+                usage = { inputTokens: event.usage.prompt_tokens || 0, outputTokens: event.usage.completion_tokens || 0 };
+            }
+            const delta = (event.choices || [])[0];
+            if (!delta || !delta.delta) {
+                continue;
+            }
+            if (delta.delta.content) {
+                text += delta.delta.content;
+                onText(delta.delta.content);
+            }
+            for (const call of delta.delta.tool_calls || []) {
+                const entry = toolCalls[call.index] || (toolCalls[call.index] = { id: call.id, name: '', arguments: '' });
+                if (call.id) entry.id = call.id;
+                if (call.function && call.function.name) entry.name += call.function.name;
+                if (call.function && call.function.arguments) entry.arguments += call.function.arguments;
+            }
+        }
+    }
+
+    return {
+        text,
+        toolCalls: toolCalls.filter(Boolean).map((call, index) => {
+            let args;
+            try {
+                args = call.arguments ? JSON.parse(call.arguments) : {};
+            } catch (error) {
+                // Left to the argument validation to report back to the model
+                args = call.arguments;
+            }
+            return { id: call.id || `call_${index}`, name: call.name, args };
+        }),
+        ...(usage ? { usage } : {})
+    };
+}
+
+function createProvider({ apiKey, baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL, temperature, timeoutMs = 120000 } = {}) {
+    const http = axios.create({
+        baseURL: baseUrl,
+        timeout: timeoutMs,
+        headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+    });
+
+    async function post(body, options = {}) {
+        try {
+            return await http.post('/chat/completions', { model, ...(temperature !== undefined ? { temperature } : {}), ...body }, options);
+        } catch (error) {
+            if (axios.isCancel(error)) {
+                throw error;
+            }
+            const status = error.response ? error.response.status : error.code;
+            throw new Error(`OpenAI-compatible request to ${baseUrl} failed (${status}): ${error.message}`);
+        }
+    }
+
+    async function chat({ system, messages, tools = [], signal, onText = () => {} }) {
+        const response = await post({
+            messages: toOpenAIMessages(system, messages),
+            ...(tools.length > 0 ? {
+                tools: tools.map(tool => ({
+                    type: 'function',
+                    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+                }))
+            } : {}),
+            stream: true,
+            stream_options: { include_usage: true }
+        }, { responseType: 'stream', signal });
+
+        return readCompletionStream(response.data, onText);
+    }
+
+    async function complete(prompt) {
+        const response = await post({ messages: [{ role: 'user', content: prompt }] });
+        return response.data.choices[0].message.content || '';
+    }
+
+    return { name: 'openai', model, chat, complete };
+}
+
+module.exports = { createProvider, toOpenAIMessages };
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deterministic provider used in MOCK_MODE and the tests. It answers from a script:
+// the first rule whose `match` regex matches the latest user message supplies the steps,
+// each step being either tool calls to emit or the final text reply. The step to play is
+// the number of assistant messages since that user message, so the provider keeps no state.
+// A string argument "$<tool>.<path>" stands for a value from the latest result of that tool in the
+// conversation, e.g. "$searchFlights.data.0.id" for the key of the first flight offer found.
+const DEFAULT_SCRIPT = path.join(__dirname, '..', '..', 'mock', 'model-script.json');
+
+function loadScript(file) {
+    return JSON.parse(fs.readFileSync(file || process.env.MOCK_MODEL_SCRIPT || DEFAULT_SCRIPT, 'utf8'));
+}
+
+function findRule(script, message) {
+    // Drop the "[System: ...]" context the server prefixes to user messages
+    const text = message.replace(/^\[System:[^\]]*\]\s*/, '');
+    return script.rules.find(rule => new RegExp(rule.match, 'i').test(text));
+}
+
+function resolveArgs(args, messages) {
+    return Object.fromEntries(Object.entries(args).map(([name, value]) => {
+        if (typeof value !== 'string' || !value.startsWith('$')) {
+            return [name, value];
+        }
+        const [tool, ...path] = value.slice(1).split('.');
+        const result = messages
+            .filter(message => message.role === 'tool')
+            .flatMap(message => message.results)
+            .filter(candidate => candidate.name === tool)
+            .at(-1);
+        const resolved = path.reduce((current, key) => (current == null ? undefined : current[key]), result && result.content);
+        return [name, resolved === undefined ? value : resolved];
+    }));
+}
+
+function createProvider({ scriptFile } = {}) {
+    const script = loadScript(scriptFile);
+
+    async function chat({ messages, onText = () => {} }) {
+        const lastUserIndex = messages.map(message => message.role).lastIndexOf('user');
+        const rule = findRule(script, messages[lastUserIndex].text);
+        const steps = rule ? rule.steps : [{ text: script.fallback }];
+        const stepIndex = messages.slice(lastUserIndex).filter(message => message.role === 'assistant').length;
+        const step = steps[stepIndex] || { text: script.fallback };
+
+        if (step.calls) {
+            return {
+                text: '',
+                toolCalls: step.calls.map((call, index) => ({ id: `call_${stepIndex}_${index}`, name: call.name, args: resolveArgs(call.args || {}, messages) }))
+            };
+        }
+
+        // Text replies are streamed a word at a time, like a real model's chunks
+        step.text.split(/(?<= )/).forEach(delta => onText(delta));
+        return { text: step.text, toolCalls: [] };
+    }
+
+    async function complete() {
+        return script.summary || 'Summary of the earlier conversation.';
+    }
+
+    return { name: 'scripted', model: path.basename(scriptFile || process.env.MOCK_MODEL_SCRIPT || DEFAULT_SCRIPT), chat, complete };
+}
+
+module.exports = { createProvider };
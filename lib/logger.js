@@ -0,0 +1,65 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact } = require('./redact');
+
+// Structured logging: one JSON object per line, on stdout (stderr for warnings and errors).
+// Every entry carries the context of the request being handled (requestId, sessionId), set with
+// runWithContext/setContext, and goes through lib/redact.js before it is written.
+// LOG_LEVEL is debug, info (default), warn or error; full Amadeus responses are only logged at debug.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+const context = new AsyncLocalStorage();
+
+// Runs fn with `values` as its log context. setContext adds to the same object, so whoever
+// started the context can read what was added (e.g. the sessionId found while handling a request).
+function runWithContext(values, fn) {
+    return context.run(values, fn);
+}
+
+function setContext(values) {
+    const store = context.getStore();
+    if (store) {
+        Object.assign(store, values);
+    }
+}
+
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+    // AmadeusError#toJSON has the status and Amadeus error code; the stack adds nothing there
+    return typeof error.toJSON === 'function'
+        ? { message: error.message, ...error.toJSON() }
+        : { type: error.name, message: error.message, stack: error.stack };
+}
+
+function write(level, message, fields) {
+    if (LEVELS[level] < minLevel) {
+        return;
+    }
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...context.getStore(),
+        ...fields,
+        ...(fields && fields.error ? { error: serializeError(fields.error) } : {})
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(redact(entry))}\n`);
+}
+
+// A logger whose entries all carry `bindings`, e.g. createLogger({ component: 'watch-scheduler' })
+function createLogger(bindings = {}) {
+    const log = level => (message, fields = {}) => write(level, message, { ...bindings, ...fields });
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: more => createLogger({ ...bindings, ...more })
+    };
+}
+
+module.exports = { createLogger, runWithContext, setContext };
@@ -0,0 +1,100 @@
+// In-process metrics in the Prometheus text exposition format (version 0.0.4).
+// A registry holds counters and histograms with labels; render() is served by GET /metrics.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+}
+
+// Series are keyed by their label values in the declared order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+}
+
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+function createCounter(name, help, labelNames = []) {
+    const series = new Map();
+
+    function inc(labels = {}, value = 1) {
+        const key = seriesKey(labelNames, labels);
+        const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        current.value += value;
+        series.set(key, current);
+    }
+
+    function render() {
+        return [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...[...series.values()].map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`)
+        ];
+    }
+
+    return { inc, render };
+}
+
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+
+    function observe(labels = {}, value) {
+        const key = seriesKey(labelNames, labels);
+        const current = series.get(key) || { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, index) => {
+            if (value <= bound) current.counts[index]++;
+        });
+        current.sum += value;
+        current.count++;
+        series.set(key, current);
+    }
+
+    // Observes the seconds from now until the returned function is called
+    function startTimer(labels = {}) {
+        const startedAt = process.hrtime.bigint();
+        return (moreLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            observe({ ...labels, ...moreLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    function render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const entry of series.values()) {
+            buckets.forEach((bound, index) => {
+                lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+            lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+        }
+        return lines;
+    }
+
+    return { observe, startTimer, render };
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    const register = metric => {
+        metrics.push(metric);
+        return metric;
+    };
+
+    return {
+        counter: (...args) => register(createCounter(...args)),
+        histogram: (...args) => register(createHistogram(...args)),
+        render: () => `${metrics.flatMap(metric => metric.render()).join('\n')}\n`
+    };
+}
+
+module.exports = { createRegistry };
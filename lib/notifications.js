@@ -0,0 +1,24 @@
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'notifications' });
+
+// Outgoing notifications (price alerts and the like). Every notification is logged;
+// when NOTIFICATION_WEBHOOK_URL is set it is also POSTed there as JSON.
+const WEBHOOK_URL = process.env.NOTIFICATION_WEBHOOK_URL;
+
+async function sendNotification(notification) {
+    log.info(`Notification (${notification.event})`, { event: notification.event, notification: notification.message });
+    if (!WEBHOOK_URL) {
+        return;
+    }
+
+    try {
+        await axios.post(WEBHOOK_URL, notification, { timeout: 10000 });
+    } catch (error) {
+        // A failing webhook must not break the check that triggered it
+        log.error(`Failed to deliver ${notification.event} notification to the webhook`, { error });
+    }
+}
+
+module.exports = { sendNotification };
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// Side-effecting tool calls (bookings, cancellations) are not run when the model asks for them.
+// They are parked here as pending actions until the user confirms or rejects them in the UI.
+const ACTION_TTL_MS = parseInt(process.env.PENDING_ACTION_TTL_MS, 10) || 15 * 60 * 1000;
+
+const actions = new Map();
+
+function createPendingAction({ tool, args, summary, sessionId }) {
+    const now = Date.now();
+    const action = {
+        id: crypto.randomUUID(),
+        // The token only goes to the browser, never to the model, so only the user can confirm
+        token: crypto.randomBytes(24).toString('hex'),
+        tool,
+        args,
+        summary,
+        sessionId,
+        status: 'PENDING',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ACTION_TTL_MS).toISOString()
+    };
+    actions.set(action.id, action);
+    return action;
+}
+
+function getPendingAction(id) {
+    const action = actions.get(id);
+    if (action && action.status === 'PENDING' && Date.parse(action.expiresAt) < Date.now()) {
+        action.status = 'EXPIRED';
+    }
+    return action || null;
+}
+
+// Compare tokens in constant time
+function isValidToken(action, token) {
+    if (typeof token !== 'string' || token.length !== action.token.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(action.token));
+}
+
+// Moves a pending action to its final status; returns false if it was already resolved
+function resolveAction(action, status) {
+    if (action.status !== 'PENDING') {
+        return false;
+    }
+    action.status = status;
+    action.resolvedAt = new Date().toISOString();
+    return true;
+}
+
+// The part of an action that is safe to show the model (no token)
+function describeForModel(action) {
+    return {
+        status: 'PENDING_CONFIRMATION',
+        actionId: action.id,
+        summary: action.summary,
+        message: 'This action has NOT been performed yet. The user must confirm it with the confirmation card shown in the chat. Summarize it and ask them to confirm; do not say it is done.'
+    };
+}
+
+// The part of an action the browser needs to render the confirmation card
+function describeForClient(action) {
+    return {
+        id: action.id,
+        token: action.token,
+        tool: action.tool,
+        summary: action.summary,
+        status: action.status,
+        expiresAt: action.expiresAt
+    };
+}
+
+module.exports = {
+    createPendingAction,
+    getPendingAction,
+    isValidToken,
+    resolveAction,
+    describeForModel,
+    describeForClient
+};
@@ -0,0 +1,46 @@
+// Background re-checks of stored records, shared by the price watches and the tracked flights.
+// Every wake-up loads the records with listRecords() and runs checkRecord(record) on the ACTIVE ones
+// not checked for intervalMs, one at a time to stay well within the Amadeus rate limits.
+// A run that is still going when the next wake-up comes is not started twice.
+
+function createPoller({ listRecords, checkRecord, intervalMs, log, name }) {
+    let timer = null;
+    let running = null;
+
+    async function checkDue() {
+        const records = await listRecords();
+        const due = records.filter(record => record.status === 'ACTIVE' &&
+            (!record.lastCheckedAt || Date.now() - Date.parse(record.lastCheckedAt) >= intervalMs));
+        for (const record of due) {
+            await checkRecord(record);
+        }
+    }
+
+    function tick() {
+        if (running) {
+            return;
+        }
+        running = checkDue()
+            .catch(error => log.error(`${name} run failed`, { error }))
+            .finally(() => {
+                running = null;
+            });
+    }
+
+    function start() {
+        if (!timer) {
+            // Wake up at least every minute so new and overdue records are picked up
+            timer = setInterval(tick, Math.min(intervalMs, 60000));
+            timer.unref();
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { checkDue, start, stop };
+}
+
+module.exports = { createPoller };
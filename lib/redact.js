@@ -0,0 +1,65 @@
+// Removes personal data and credentials from anything about to be logged.
+// Fields are matched by name (passwords, tokens, traveler names and contacts); every other
+// string is scanned for emails, phone numbers in international format, card numbers and bearer tokens.
+
+const REDACTED = '[REDACTED]';
+
+const SECRET_KEYS = /token$|pass(word)?$|secret|authorization|api[-_]?key|cookie|cardNumber|securityCode|cvv/i;
+const PERSONAL_KEYS = new Set([
+    'firstName', 'lastName', 'middleName', 'guestFirstName', 'guestLastName', 'dateOfBirth',
+    'email', 'emailAddress', 'guestEmail', 'phone', 'phones', 'guestPhone', 'documents',
+    // The names in action summaries
+    'guest', 'travelers'
+]);
+
+const EMAIL = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const PHONE = /\+\d[\d ().-]{6,}\d/g;
+const CARD_NUMBER = /\b\d(?:[ -]?\d){12,18}\b/g;
+const BEARER = /Bearer\s+[\w.~+/-]+=*/g;
+
+// Luhn checksum, so order numbers and other long digit runs are left alone
+function isCardNumber(candidate) {
+    const digits = candidate.replace(/\D/g, '');
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+function redactString(value) {
+    return value
+        .replace(BEARER, `Bearer ${REDACTED}`)
+        .replace(EMAIL, '[EMAIL]')
+        .replace(CARD_NUMBER, match => (isCardNumber(match) ? '[CARD]' : match))
+        .replace(PHONE, '[PHONE]');
+}
+
+// A redacted copy of the value; the original is not changed
+function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, seen));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        (SECRET_KEYS.test(key) || PERSONAL_KEYS.has(key)) && item !== null && item !== undefined ? REDACTED : redact(item, seen)
+    ]));
+}
+
+module.exports = { redact };
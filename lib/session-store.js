@@ -0,0 +1,83 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./json-file-store');
+
+// File-based chat session store: one JSON file per session in SESSIONS_DIR.
+// A session keeps the full model conversation (including tool calls and results)
+// and the rendered messages with their result blocks so the UI can resume it, and the id of the user it belongs to.
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(__dirname, '..', 'data', 'sessions');
+
+const DEFAULT_SESSION_TITLE = 'New trip';
+
+const store = createJsonFileStore(SESSIONS_DIR);
+
+async function createSession({ title, userId } = {}) {
+    const now = new Date().toISOString();
+    const session = {
+        id: crypto.randomUUID(),
+        title: title || DEFAULT_SESSION_TITLE,
+        userId: userId || null,
+        createdAt: now,
+        updatedAt: now,
+        history: [],
+        messages: []
+    };
+    return store.write(session);
+}
+
+async function getSession(id) {
+    return store.read(id);
+}
+
+// Summaries only, most recently updated first, optionally only the sessions of one user
+async function listSessions({ userId } = {}) {
+    const sessions = await store.readAll();
+    return sessions
+        .filter(session => !userId || session.userId === userId)
+        .map(({ id, title, createdAt, updatedAt, messages }) => ({ id, title, createdAt, updatedAt, messageCount: messages.length }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function saveSession(session) {
+    session.updatedAt = new Date().toISOString();
+    return store.write(session);
+}
+
+// Updates of one session run one at a time, each on the session as last saved
+const pendingUpdates = new Map();
+
+// Re-reads the session, lets update(session) change it and saves it; null when the session is gone
+async function updateSession(id, update) {
+    const previous = pendingUpdates.get(id) || Promise.resolve();
+    const pending = previous.catch(() => {}).then(async () => {
+        const session = await getSession(id);
+        if (!session) {
+            return null;
+        }
+        await update(session);
+        return saveSession(session);
+    });
+
+    pendingUpdates.set(id, pending);
+    try {
+        return await pending;
+    } finally {
+        if (pendingUpdates.get(id) === pending) {
+            pendingUpdates.delete(id);
+        }
+    }
+}
+
+async function deleteSession(id) {
+    return store.remove(id);
+}
+
+module.exports = {
+    DEFAULT_SESSION_TITLE,
+    createSession,
+    getSession,
+    listSessions,
+    saveSession,
+    updateSession,
+    deleteSession
+};
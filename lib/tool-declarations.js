@@ -0,0 +1,715 @@
+// Tool declarations shared by every LLM provider, written once as plain JSON Schema
+// (type, description, enum, properties, required, items). Each provider adapter converts them
+// to its own format, and lib/tool-validation.js checks the model's arguments against them.
+
+// Filters shared by the flight-destinations and flight-dates searches
+const flightInspirationProperties = {
+    departureDate: {
+        type: "string",
+        description: "A departure date (YYYY-MM-DD) or a date range as two comma-separated dates (e.g., 2025-06-01,2025-06-30)."
+    },
+    oneWay: {
+        type: "boolean",
+        description: "true for one-way fares only, false for round trips only. Omit to get both."
+    },
+    duration: {
+        type: "string",
+        description: "Length of stay in days for round trips, or a range such as 2,8."
+    },
+    nonStop: {
+        type: "boolean",
+        description: "Set to true to only consider direct flights."
+    },
+    maxPrice: {
+        type: "integer",
+        description: "Maximum price of the trip."
+    }
+};
+
+// The flight a status check or tracking refers to
+const flightDesignatorProperties = {
+    carrierCode: {
+        type: "string",
+        description: "The 2-character IATA airline code (e.g., TK)."
+    },
+    flightNumber: {
+        type: "string",
+        description: "The flight number without the airline code (e.g., 1821)."
+    },
+    date: {
+        type: "string",
+        description: "The scheduled departure date in YYYY-MM-DD format."
+    }
+};
+
+// Search options shared by searchFlights and searchMultiCityFlights
+const flightSearchOptionProperties = {
+    adults: {
+        type: "integer",
+        description: "Number of adult travelers, 12 years or older (default 1)."
+    },
+    children: {
+        type: "integer",
+        description: "Number of children, 2 to 11 years old (default 0)."
+    },
+    infants: {
+        type: "integer",
+        description: "Number of infants under 2 sitting on an adult's lap (default 0, at most one per adult)."
+    },
+    travelClass: {
+        type: "string",
+        enum: ["ECONOMY", "PREMIUM_ECONOMY", "BUSINESS", "FIRST"],
+        description: "Cabin class. Omit to search all classes."
+    },
+    nonStop: {
+        type: "boolean",
+        description: "Set to true to only return direct flights."
+    },
+    includedAirlineCodes: {
+        type: "string",
+        description: "Comma-separated IATA airline codes to restrict the search to (e.g., TK,AF)."
+    },
+    excludedAirlineCodes: {
+        type: "string",
+        description: "Comma-separated IATA airline codes to leave out of the search."
+    },
+    currencyCode: {
+        type: "string",
+        description: "ISO 4217 currency code for prices (e.g., EUR, USD)."
+    },
+    maxPrice: {
+        type: "integer",
+        description: "Maximum price per traveler, in the requested currency."
+    },
+    max: {
+        type: "integer",
+        description: "Maximum number of offers to return (default 5)."
+    }
+};
+
+// Paging and ranking shared by the hotel searches
+const hotelResultProperties = {
+    sortBy: {
+        type: "string",
+        enum: ["rating", "stars", "distance"],
+        description: "Rank the hotels by guest rating (from hotel reviews), star rating or distance. Omit to keep the order of the search."
+    },
+    page: {
+        type: "integer",
+        description: "The page of results to return, starting at 1 (default 1). Repeat the same search with the next page to see more hotels."
+    },
+    pageSize: {
+        type: "integer",
+        description: "Hotels per page, 1 to 20 (default 10)."
+    }
+};
+
+// Filters shared by the city and geocode hotel searches
+const hotelFilterProperties = {
+    radius: {
+        type: "integer",
+        description: "Search radius in kilometers, 1 to 300 (default 5 for geocode searches)."
+    },
+    amenities: {
+        type: "string",
+        description: "Comma-separated amenities every hotel must have (e.g., WIFI,SWIMMING_POOL). One of SWIMMING_POOL, SPA, FITNESS_CENTER, AIR_CONDITIONING, RESTAURANT, PARKING, PETS_ALLOWED, AIRPORT_SHUTTLE, BUSINESS_CENTER, DISABLED_FACILITIES, WIFI, MEETING_ROOMS, NO_KID_ALLOWED, TENNIS, GOLF, KITCHEN, BEACH, CASINO, JACUZZI, SAUNA, MASSAGE, VALET_PARKING, KIDS_WELCOME, MINIBAR, TELEVISION, ROOM_SERVICE."
+    },
+    ratings: {
+        type: "string",
+        description: "Comma-separated star ratings to include, up to 4 values from 1 to 5 (e.g., 4,5)."
+    },
+    chainCodes: {
+        type: "string",
+        description: "Comma-separated 2-character hotel chain codes (e.g., RT for Accor, HI for Holiday Inn)."
+    },
+    ...hotelResultProperties
+};
+
+// When a price watch alerts; both are optional
+const priceWatchThresholdProperties = {
+    targetPrice: {
+        type: "number",
+        description: "Alert when the price is at or below this amount, in the currency of the results."
+    },
+    dropPercent: {
+        type: "number",
+        description: "Alert when the price has dropped by at least this percentage from the first check (e.g., 10). Without targetPrice or dropPercent, any drop alerts."
+    }
+};
+
+const toolDeclarations = [
+    {
+        name: "searchLocations",
+        description: "Look up airports and cities by name to get their IATA codes, city codes and coordinates. Use this before searchFlights, searchHotelsByCity and searchActivities whenever the user names a place instead of giving a code.",
+        parameters: {
+            type: "object",
+            properties: {
+                keyword: {
+                    type: "string",
+                    description: "The name (or the start of the name) of the city or airport (e.g., London, Munich, Heathrow)."
+                },
+                subType: {
+                    type: "string",
+                    enum: ["CITY", "AIRPORT", "CITY,AIRPORT"],
+                    description: "Whether to look for cities, airports or both (default both)."
+                },
+                countryCode: {
+                    type: "string",
+                    description: "ISO 3166-1 alpha-2 country code to narrow the search (e.g., US, FR)."
+                }
+            },
+            required: ["keyword"]
+        }
+    },
+    {
+        name: "searchFlights",
+        description: "Search for one-way or return flights given an origin, destination, and date. Code must be IATA airport code.",
+        parameters: {
+            type: "object",
+            properties: {
+                origin: { 
+                    type: "string", 
+                    description: "The IATA code of the origin airport (e.g., IST, SFO, LHR)." 
+                },
+                destination: { 
+                    type: "string", 
+                    description: "The IATA code of the destination airport (e.g., JFK, CDG, DXB)." 
+                },
+                date: { 
+                    type: "string", 
+                    description: "The departure date in YYYY-MM-DD format." 
+                },
+                returnDate: {
+                    type: "string",
+                    description: "The return date in YYYY-MM-DD format. Omit for one-way trips."
+                },
+                ...flightSearchOptionProperties
+            },
+            required: ["origin", "destination", "date"]
+        }
+    },
+    {
+        name: "searchMultiCityFlights",
+        description: "Search for a multi-city itinerary made of consecutive one-way legs (up to 6), booked together as one offer.",
+        parameters: {
+            type: "object",
+            properties: {
+                legs: {
+                    type: "array",
+                    description: "The legs of the trip in travel order.",
+                    items: {
+                        type: "object",
+                        properties: {
+                            origin: { type: "string", description: "The IATA code of the leg's origin airport or city." },
+                            destination: { type: "string", description: "The IATA code of the leg's destination airport or city." },
+                            date: { type: "string", description: "The departure date of the leg in YYYY-MM-DD format." }
+                        },
+                        required: ["origin", "destination", "date"]
+                    }
+                },
+                ...flightSearchOptionProperties
+            },
+            required: ["legs"]
+        }
+    },
+    {
+        name: "searchFlightDestinations",
+        description: "Find the cheapest destinations from an origin (flight inspiration). Prices are cached, so confirm with searchFlights before booking.",
+        parameters: {
+            type: "object",
+            properties: {
+                origin: {
+                    type: "string",
+                    description: "The IATA code of the origin city or airport."
+                },
+                ...flightInspirationProperties,
+                viewBy: {
+                    type: "string",
+                    enum: ["COUNTRY", "DATE", "DESTINATION", "DURATION", "WEEK"],
+                    description: "How to group the results (default DESTINATION)."
+                }
+            },
+            required: ["origin"]
+        }
+    },
+    {
+        name: "searchCheapestDates",
+        description: "Find the cheapest dates to fly between two places (e.g., 'when is it cheapest to fly to Paris?'). The results are shown to the user as a fare calendar. Prices are cached, so confirm with searchFlights before booking.",
+        parameters: {
+            type: "object",
+            properties: {
+                origin: {
+                    type: "string",
+                    description: "The IATA code of the origin city or airport."
+                },
+                destination: {
+                    type: "string",
+                    description: "The IATA code of the destination city or airport."
+                },
+                ...flightInspirationProperties,
+                viewBy: {
+                    type: "string",
+                    enum: ["DATE", "DURATION", "WEEK"],
+                    description: "How to group the results (default DATE)."
+                }
+            },
+            required: ["origin", "destination"]
+        }
+    },
+    {
+        name: "confirmFlightPrice",
+        description: "Confirm the final price and availability of a flight offer returned by searchFlights. Always call this before booking a flight.",
+        parameters: {
+            type: "object",
+            properties: {
+                offerId: {
+                    type: "string",
+                    description: "The id of the flight offer from the latest searchFlights results."
+                }
+            },
+            required: ["offerId"]
+        }
+    },
+    {
+        name: "createFlightOrder",
+        description: "Book a flight offer whose price has been confirmed with confirmFlightPrice. The order is only created after the user confirms it in the chat.",
+        parameters: {
+            type: "object",
+            properties: {
+                offerId: {
+                    type: "string",
+                    description: "The id of the confirmed flight offer."
+                },
+                travelers: {
+                    type: "array",
+                    description: "One entry per traveler on the offer, in the same order as the offer's travelers.",
+                    items: {
+                        type: "object",
+                        properties: {
+                            firstName: { type: "string", description: "First name of the traveler." },
+                            lastName: { type: "string", description: "Last name of the traveler." },
+                            dateOfBirth: { type: "string", description: "Date of birth in YYYY-MM-DD format." },
+                            gender: { type: "string", description: "MALE or FEMALE." },
+                            email: { type: "string", description: "Email address of the traveler." },
+                            phoneCountryCode: { type: "string", description: "Country calling code without '+' (e.g., 90, 33)." },
+                            phoneNumber: { type: "string", description: "Phone number without the country calling code." }
+                        },
+                        required: ["firstName", "lastName", "dateOfBirth", "gender", "email", "phoneCountryCode", "phoneNumber"]
+                    }
+                }
+            },
+            required: ["offerId", "travelers"]
+        }
+    },
+    {
+        name: "getFlightOrder",
+        description: "View the details of an existing flight reservation.",
+        parameters: {
+            type: "object",
+            properties: {
+                orderId: {
+                    type: "string",
+                    description: "The flight order ID returned by createFlightOrder."
+                }
+            },
+            required: ["orderId"]
+        }
+    },
+    {
+        name: "cancelFlightOrder",
+        description: "Cancel an existing flight reservation. Only call this after the user has explicitly asked to cancel. The cancellation is only made after the user confirms it in the chat.",
+        parameters: {
+            type: "object",
+            properties: {
+                orderId: {
+                    type: "string",
+                    description: "The flight order ID to cancel."
+                }
+            },
+            required: ["orderId"]
+        }
+    },
+    {
+        name: "searchHotelsByCity",
+        description: "Search for hotels in a specific city. Returns one page of short hotel records with the total count; use the filters and sortBy to narrow long lists.",
+        parameters: {
+            type: "object",
+            properties: {
+                cityCode: {
+                    type: "string",
+                    description: "The IATA city code (e.g., PAR, LON, NYC)."
+                },
+                ...hotelFilterProperties
+            },
+            required: ["cityCode"]
+        }
+    },
+    {
+        name: "searchHotelsByGeocode",
+        description: "Search for hotels within a radius of a point, such as a landmark, an activity or an address. Get the coordinates from searchLocations or searchActivities. Results carry their distance from the point.",
+        parameters: {
+            type: "object",
+            properties: {
+                latitude: {
+                    type: "number",
+                    description: "Latitude of the point."
+                },
+                longitude: {
+                    type: "number",
+                    description: "Longitude of the point."
+                },
+                ...hotelFilterProperties
+            },
+            required: ["latitude", "longitude"]
+        }
+    },
+    {
+        name: "searchHotelsByIds",
+        description: "Look up hotels by their Amadeus hotel IDs, e.g. to compare hotels the user already knows.",
+        parameters: {
+            type: "object",
+            properties: {
+                hotelIds: {
+                    type: "string",
+                    description: "Comma-separated list of Amadeus hotel IDs (e.g., RTPAR001,HIPAR002)."
+                },
+                ...hotelResultProperties
+            },
+            required: ["hotelIds"]
+        }
+    },
+    {
+        name: "getHotelOffers",
+        description: "Get offers for specific hotels. Use this after finding hotel IDs.",
+        parameters: {
+            type: "object",
+            properties: {
+                hotelIds: {
+                    type: "string",
+                    description: "Comma-separated list of Amadeus hotel IDs (e.g., RTPAR001)."
+                },
+                adults: {
+                    type: "integer",
+                    description: "Number of adult guests per room, 1 to 9 (default 1)."
+                },
+                checkInDate: {
+                    type: "string",
+                    description: "Check-in date in YYYY-MM-DD format."
+                },
+                checkOutDate: {
+                    type: "string",
+                    description: "Check-out date in YYYY-MM-DD format."
+                }
+            },
+            required: ["hotelIds", "checkInDate", "checkOutDate"]
+        }
+    },
+    {
+        name: "bookHotel",
+        description: "Book a hotel offer. The booking is only made after the user confirms it in the chat.",
+        parameters: {
+            type: "object",
+            properties: {
+                offerId: {
+                    type: "string",
+                    description: "The offer ID to book."
+                },
+                guestFirstName: {
+                    type: "string",
+                    description: "First name of the guest."
+                },
+                guestLastName: {
+                    type: "string",
+                    description: "Last name of the guest, including every part of a compound surname."
+                },
+                guestTitle: {
+                    type: "string",
+                    enum: ["MR", "MRS", "MS"],
+                    description: "Title of the guest, only if the user gave it."
+                },
+                guestEmail: {
+                    type: "string",
+                    description: "Email of the guest."
+                },
+                guestPhone: {
+                    type: "string",
+                    description: "Phone number of the guest."
+                }
+            },
+            required: ["offerId", "guestFirstName", "guestLastName", "guestEmail", "guestPhone"]
+        }
+    },
+    {
+        name: "getHotelSentiments",
+        description: "Get sentiment analysis/ratings for a hotel.",
+        parameters: {
+            type: "object",
+            properties: {
+                hotelIds: {
+                    type: "string",
+                    description: "Comma-separated list of Amadeus hotel IDs."
+                }
+            },
+            required: ["hotelIds"]
+        }
+    },
+    {
+        name: "searchActivities",
+        description: "Search for tours and activities in a location. Get the coordinates from searchLocations if the user gives a place name.",
+        parameters: {
+            type: "object",
+            properties: {
+                latitude: {
+                    type: "number",
+                    description: "Latitude of the location."
+                },
+                longitude: {
+                    type: "number",
+                    description: "Longitude of the location."
+                }
+            },
+            required: ["latitude", "longitude"]
+        }
+    },
+    {
+        name: "watchFlightPrice",
+        description: "Start watching the price of a flight search. The search is re-run regularly and the user is notified when the cheapest price drops past the threshold. Returns the watch with the current cheapest price.",
+        parameters: {
+            type: "object",
+            properties: {
+                origin: {
+                    type: "string",
+                    description: "The IATA code of the origin airport or city."
+                },
+                destination: {
+                    type: "string",
+                    description: "The IATA code of the destination airport or city."
+                },
+                date: {
+                    type: "string",
+                    description: "The departure date in YYYY-MM-DD format."
+                },
+                returnDate: {
+                    type: "string",
+                    description: "The return date in YYYY-MM-DD format. Omit for one-way trips."
+                },
+                adults: flightSearchOptionProperties.adults,
+                travelClass: flightSearchOptionProperties.travelClass,
+                nonStop: flightSearchOptionProperties.nonStop,
+                currencyCode: flightSearchOptionProperties.currencyCode,
+                ...priceWatchThresholdProperties
+            },
+            required: ["origin", "destination", "date"]
+        }
+    },
+    {
+        name: "watchHotelPrice",
+        description: "Start watching the price of a hotel for given dates. Offers are re-checked regularly and the user is notified when the lowest price drops past the threshold. Returns the watch with the current lowest price.",
+        parameters: {
+            type: "object",
+            properties: {
+                hotelId: {
+                    type: "string",
+                    description: "The Amadeus hotel ID (e.g., RTPAR001)."
+                },
+                checkInDate: {
+                    type: "string",
+                    description: "Check-in date in YYYY-MM-DD format."
+                },
+                checkOutDate: {
+                    type: "string",
+                    description: "Check-out date in YYYY-MM-DD format."
+                },
+                adults: {
+                    type: "integer",
+                    description: "Number of adult guests per room, 1 to 9 (default 1)."
+                },
+                ...priceWatchThresholdProperties
+            },
+            required: ["hotelId", "checkInDate", "checkOutDate"]
+        }
+    },
+    {
+        name: "getPriceWatches",
+        description: "List the price watches started in this chat with their price history. Use it to answer questions such as 'how has that price moved?'.",
+        parameters: {
+            type: "object",
+            properties: {
+                watchId: {
+                    type: "string",
+                    description: "Only return this watch."
+                }
+            }
+        }
+    },
+    {
+        name: "getSeatMap",
+        description: "Get the seat map of every flight in a flight offer, with each seat's availability, characteristics (window, aisle, exit row, extra legroom) and price. The user can also pick a seat on the map shown in the chat.",
+        parameters: {
+            type: "object",
+            properties: {
+                offerId: {
+                    type: "string",
+                    description: "The flight offer ID from searchFlights or searchMultiCityFlights."
+                }
+            },
+            required: ["offerId"]
+        }
+    },
+    {
+        name: "getBaggageOptions",
+        description: "List the extra checked bags that can be added to a flight offer, with their prices.",
+        parameters: {
+            type: "object",
+            properties: {
+                offerId: {
+                    type: "string",
+                    description: "The flight offer ID from searchFlights or searchMultiCityFlights."
+                }
+            },
+            required: ["offerId"]
+        }
+    },
+    {
+        name: "selectAncillaries",
+        description: "Attach the travelers' seat and extra bag choices to a flight offer and re-price it, so the confirmed price includes them. Earlier choices for the same offer are kept, except a traveler's seat on the same flight or bags, which the new ones replace. Call getSeatMap or getBaggageOptions first.",
+        parameters: {
+            type: "object",
+            properties: {
+                offerId: {
+                    type: "string",
+                    description: "The flight offer ID."
+                },
+                seats: {
+                    type: "array",
+                    description: "The chosen seats, at most one per traveler and flight.",
+                    items: {
+                        type: "object",
+                        properties: {
+                            segmentId: { type: "string", description: "The segmentId of the flight, from getSeatMap." },
+                            travelerId: { type: "string", description: "The traveler ID, '1' for the first traveler." },
+                            seatNumber: { type: "string", description: "The seat number, e.g., 12A." }
+                        },
+                        required: ["segmentId", "travelerId", "seatNumber"]
+                    }
+                },
+                bags: {
+                    type: "array",
+                    description: "The extra checked bags per traveler, for the whole trip.",
+                    items: {
+                        type: "object",
+                        properties: {
+                            travelerId: { type: "string", description: "The traveler ID, '1' for the first traveler." },
+                            quantity: { type: "integer", description: "Number of extra bags, as offered by getBaggageOptions." }
+                        },
+                        required: ["travelerId", "quantity"]
+                    }
+                }
+            },
+            required: ["offerId"]
+        }
+    },
+    {
+        name: "getFlightStatus",
+        description: "Get the live status of a flight: scheduled, estimated and actual departure and arrival times, terminals, gates and delay.",
+        parameters: {
+            type: "object",
+            properties: flightDesignatorProperties,
+            required: ["carrierCode", "flightNumber", "date"]
+        }
+    },
+    {
+        name: "predictFlightDelay",
+        description: "Predict the probability of each delay length (under 30 minutes, 30-60, 60-120, over 120 or cancelled) for every flight of a flight offer found earlier in this chat.",
+        parameters: {
+            type: "object",
+            properties: {
+                offerId: {
+                    type: "string",
+                    description: "The flight offer ID from searchFlights or searchMultiCityFlights."
+                }
+            },
+            required: ["offerId"]
+        }
+    },
+    {
+        name: "trackFlight",
+        description: "Start tracking a flight. Its status is checked regularly and the user is notified of gate changes, delays and cancellations. Returns the current status.",
+        parameters: {
+            type: "object",
+            properties: flightDesignatorProperties,
+            required: ["carrierCode", "flightNumber", "date"]
+        }
+    },
+    {
+        name: "getTrackedFlights",
+        description: "List the flights tracked in this chat with their latest status and the changes seen so far.",
+        parameters: {
+            type: "object",
+            properties: {}
+        }
+    },
+    {
+        name: "addToItinerary",
+        description: "Add a flight offer, hotel offer or activity found earlier in this chat to the user's trip itinerary. Returns the updated itinerary, day by day, with any scheduling conflicts.",
+        parameters: {
+            type: "object",
+            properties: {
+                itemType: {
+                    type: "string",
+                    enum: ["flight", "hotel", "activity"],
+                    description: "What to add."
+                },
+                offerId: {
+                    type: "string",
+                    description: "The flight offer ID or hotel offer ID from searchFlights, searchMultiCityFlights or getHotelOffers. Required for flights and hotels."
+                },
+                activityId: {
+                    type: "string",
+                    description: "The activity ID from searchActivities. Required for activities."
+                },
+                date: {
+                    type: "string",
+                    description: "The day of the activity in YYYY-MM-DD format. Required for activities."
+                },
+                time: {
+                    type: "string",
+                    description: "The start time of the activity in HH:MM (24-hour) format. Omit if the user has not chosen one."
+                },
+                bookingReference: {
+                    type: "string",
+                    description: "The confirmation number, if the hotel or flight is already booked."
+                },
+                note: {
+                    type: "string",
+                    description: "A short note from the user to keep with the item."
+                }
+            },
+            required: ["itemType"]
+        }
+    },
+    {
+        name: "removeFromItinerary",
+        description: "Remove an item from the user's trip itinerary.",
+        parameters: {
+            type: "object",
+            properties: {
+                itemId: {
+                    type: "string",
+                    description: "The itinerary item ID, as returned by getItinerary or addToItinerary."
+                }
+            },
+            required: ["itemId"]
+        }
+    },
+    {
+        name: "getItinerary",
+        description: "Get the user's trip itinerary for this chat, day by day, with its scheduling conflicts (e.g., a hotel check-in before the flight lands).",
+        parameters: {
+            type: "object",
+            properties: {}
+        }
+    }
+];
+
+module.exports = { toolDeclarations };
@@ -0,0 +1,320 @@
+// Checks the arguments of the model's function calls before any tool runs.
+// Types, required fields and enums come from the tool declarations themselves;
+// FIELD_RULES adds what the schema cannot express (IATA codes, dates, ranges) by property name,
+// and TOOL_RULES the checks that span several arguments of one tool.
+
+const IATA_CODE = /^[A-Z]{3}$/;
+const AIRLINE_CODE = /^[A-Z0-9]{2}$/;
+const HOTEL_ID = /^[A-Z0-9]{8}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const CLOCK_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const HOTEL_AMENITY = new RegExp(`^(${[
+    'SWIMMING_POOL', 'SPA', 'FITNESS_CENTER', 'AIR_CONDITIONING', 'RESTAURANT', 'PARKING', 'PETS_ALLOWED',
+    'AIRPORT_SHUTTLE', 'BUSINESS_CENTER', 'DISABLED_FACILITIES', 'WIFI', 'MEETING_ROOMS', 'NO_KID_ALLOWED',
+    'TENNIS', 'GOLF', 'KITCHEN', 'BEACH', 'CASINO', 'JACUZZI', 'SAUNA', 'MASSAGE', 'VALET_PARKING',
+    'KIDS_WELCOME', 'MINIBAR', 'TELEVISION', 'ROOM_SERVICE'
+].join('|')})$`);
+
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+// --- Field Rules ---
+// Each rule gets a value that already has the declared type and returns { value } (normalized) or { error }
+
+function code(pattern, description) {
+    return value => {
+        const normalized = value.trim().toUpperCase();
+        return pattern.test(normalized) ? { value: normalized } : { error: `must be ${description}, got "${value}"` };
+    };
+}
+
+function codeList(pattern, description) {
+    return value => {
+        const codes = value.split(',').map(item => item.trim().toUpperCase()).filter(Boolean);
+        const invalid = codes.filter(item => !pattern.test(item));
+        if (codes.length === 0 || invalid.length > 0) {
+            return { error: `must be a comma-separated list of ${description}, got "${value}"` };
+        }
+        return { value: codes.join(',') };
+    };
+}
+
+function date({ future }) {
+    return value => {
+        const trimmed = value.trim();
+        const parsed = new Date(`${trimmed}T00:00:00Z`);
+        if (!ISO_DATE.test(trimmed) || isNaN(parsed) || !parsed.toISOString().startsWith(trimmed)) {
+            return { error: `must be a valid date in YYYY-MM-DD format, got "${value}"` };
+        }
+        if (future && trimmed < today()) {
+            return { error: `must not be in the past (today is ${today()}), got ${trimmed}` };
+        }
+        if (!future && trimmed >= today()) {
+            return { error: `must be in the past, got ${trimmed}` };
+        }
+        return { value: trimmed };
+    };
+}
+
+const travelDate = date({ future: true });
+
+// Inspiration searches take a date or a range of two comma-separated dates
+function travelDateOrRange(value) {
+    const parts = value.split(',');
+    if (parts.length > 2) {
+        return { error: `must be a date or two comma-separated dates, got "${value}"` };
+    }
+    const dates = [];
+    for (const part of parts) {
+        const result = travelDate(part);
+        if (result.error) {
+            return result;
+        }
+        dates.push(result.value);
+    }
+    if (dates.length === 2 && dates[1] < dates[0]) {
+        return { error: `must end on or after its start date, got "${value}"` };
+    }
+    return { value: dates.join(',') };
+}
+
+function range(min, max) {
+    return value => (value < min || value > max ? { error: `must be between ${min} and ${max}, got ${value}` } : { value });
+}
+
+function positive(value) {
+    return value > 0 ? { value } : { error: `must be greater than 0, got ${value}` };
+}
+
+function email(value) {
+    const trimmed = value.trim();
+    return EMAIL.test(trimmed) ? { value: trimmed } : { error: `must be an email address, got "${value}"` };
+}
+
+function clockTime(value) {
+    const trimmed = value.trim();
+    return CLOCK_TIME.test(trimmed) ? { value: trimmed } : { error: `must be a time in HH:MM (24-hour) format, got "${value}"` };
+}
+
+function nonEmpty(value) {
+    const trimmed = value.trim();
+    return trimmed ? { value: trimmed } : { error: 'must not be empty' };
+}
+
+const FIELD_RULES = {
+    origin: code(IATA_CODE, 'a 3-letter IATA airport or city code'),
+    destination: code(IATA_CODE, 'a 3-letter IATA airport or city code'),
+    cityCode: code(IATA_CODE, 'a 3-letter IATA city code'),
+    countryCode: code(/^[A-Z]{2}$/, 'a 2-letter ISO 3166-1 country code'),
+    currencyCode: code(/^[A-Z]{3}$/, 'a 3-letter ISO 4217 currency code'),
+    includedAirlineCodes: codeList(AIRLINE_CODE, '2-character IATA airline codes'),
+    excludedAirlineCodes: codeList(AIRLINE_CODE, '2-character IATA airline codes'),
+    carrierCode: code(AIRLINE_CODE, 'a 2-character IATA airline code'),
+    flightNumber: code(/^\d{1,4}$/, 'a flight number of 1 to 4 digits without the airline code'),
+    seatNumber: code(/^\d{1,3}[A-K]$/, 'a seat number such as 12A'),
+    quantity: range(1, 9),
+    hotelIds: codeList(HOTEL_ID, '8-character Amadeus hotel IDs'),
+    hotelId: code(HOTEL_ID, 'an 8-character Amadeus hotel ID'),
+    amenities: codeList(HOTEL_AMENITY, 'hotel amenities such as WIFI or SWIMMING_POOL'),
+    ratings: codeList(/^[1-5]$/, 'star ratings from 1 to 5'),
+    chainCodes: codeList(/^[A-Z0-9]{2}$/, '2-character hotel chain codes'),
+    radius: range(1, 300),
+    page: range(1, 100),
+    pageSize: range(1, 20),
+    date: travelDate,
+    returnDate: travelDate,
+    checkInDate: travelDate,
+    checkOutDate: travelDate,
+    departureDate: travelDateOrRange,
+    dateOfBirth: date({ future: false }),
+    adults: range(1, 9),
+    children: range(0, 9),
+    infants: range(0, 9),
+    max: range(1, 250),
+    maxPrice: positive,
+    targetPrice: positive,
+    dropPercent: range(1, 99),
+    latitude: range(-90, 90),
+    longitude: range(-180, 180),
+    email: email,
+    guestEmail: email,
+    gender: code(/^(MALE|FEMALE)$/, 'MALE or FEMALE'),
+    phoneCountryCode: code(/^\+?\d{1,3}$/, 'a country calling code such as 33'),
+    firstName: nonEmpty,
+    lastName: nonEmpty,
+    guestFirstName: nonEmpty,
+    guestLastName: nonEmpty,
+    time: clockTime
+};
+
+// --- Tool Rules ---
+// Run once every field is valid; each returns a list of { field, message }
+
+function travelerRules({ adults = 1, infants = 0 }) {
+    return infants > adults ? [{ field: 'infants', message: `cannot exceed the number of adults (${adults})` }] : [];
+}
+
+function flightSearchRules(args) {
+    return [
+        ...(args.returnDate && args.returnDate < args.date
+            ? [{ field: 'returnDate', message: `must not be before the departure date ${args.date}` }]
+            : []),
+        ...travelerRules(args)
+    ];
+}
+
+function stayRules(args) {
+    return args.checkOutDate <= args.checkInDate
+        ? [{ field: 'checkOutDate', message: `must be after the check-in date ${args.checkInDate}` }]
+        : [];
+}
+
+function hotelSearchRules(args) {
+    return args.ratings && args.ratings.split(',').length > 4
+        ? [{ field: 'ratings', message: `can list at most 4 star ratings, got "${args.ratings}"` }]
+        : [];
+}
+
+const TOOL_RULES = {
+    searchFlights: flightSearchRules,
+    watchFlightPrice: flightSearchRules,
+    searchMultiCityFlights: args => {
+        if (args.legs.length < 2 || args.legs.length > 6) {
+            return [{ field: 'legs', message: `must contain between 2 and 6 legs, got ${args.legs.length}` }];
+        }
+        const errors = args.legs.slice(1)
+            .map((leg, index) => (leg.date < args.legs[index].date
+                ? { field: `legs[${index + 1}].date`, message: `must not be before the previous leg's date ${args.legs[index].date}` }
+                : null))
+            .filter(Boolean);
+        return [...errors, ...travelerRules(args)];
+    },
+    searchHotelsByCity: hotelSearchRules,
+    searchHotelsByGeocode: hotelSearchRules,
+    searchHotelsByIds: args => (args.sortBy === 'distance'
+        ? [{ field: 'sortBy', message: 'cannot be distance for a lookup by hotel IDs; use rating or stars' }]
+        : []),
+    getHotelOffers: stayRules,
+    watchHotelPrice: stayRules,
+    addToItinerary: args => {
+        const required = args.itemType === 'activity' ? ['activityId', 'date'] : ['offerId'];
+        return required
+            .filter(field => !args[field])
+            .map(field => ({ field, message: `is required to add a ${args.itemType}` }));
+    },
+    selectAncillaries: args => {
+        if (!(args.seats && args.seats.length > 0) && !(args.bags && args.bags.length > 0)) {
+            return [{ field: 'seats', message: 'or bags must list at least one choice' }];
+        }
+        const seen = new Set();
+        return (args.seats || [])
+            .map((seat, index) => {
+                const key = `${seat.travelerId}/${seat.segmentId}`;
+                const duplicate = seen.has(key);
+                seen.add(key);
+                return duplicate ? { field: `seats[${index}]`, message: `is a second seat for traveler ${seat.travelerId} on segment ${seat.segmentId}` } : null;
+            })
+            .filter(Boolean);
+    },
+    createFlightOrder: args => (args.travelers.length === 0
+        ? [{ field: 'travelers', message: 'must contain at least one traveler' }]
+        : [])
+};
+
+// --- Schema Checks ---
+
+function typeError(schema, value) {
+    switch (schema.type) {
+        case 'string':
+            return typeof value === 'string' ? null : 'must be a string';
+        case 'integer':
+            return Number.isInteger(value) ? null : `must be a whole number, got ${JSON.stringify(value)}`;
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value) ? null : `must be a number, got ${JSON.stringify(value)}`;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `must be true or false, got ${JSON.stringify(value)}`;
+        case 'array':
+            return Array.isArray(value) ? null : 'must be a list';
+        case 'object':
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+        default:
+            return null;
+    }
+}
+
+// Check a value against its schema, collecting errors; returns the normalized value
+function checkValue(schema, value, field, key, errors) {
+    const error = typeError(schema, value);
+    if (error) {
+        errors.push({ field, message: error });
+        return value;
+    }
+
+    if (schema.type === 'array') {
+        return value.map((item, index) => checkValue(schema.items || {}, item, `${field}[${index}]`, null, errors));
+    }
+    if (schema.type === 'object') {
+        return checkObject(schema, value, field, errors);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field, message: `must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` });
+        return value;
+    }
+
+    const rule = key && FIELD_RULES[key];
+    if (!rule) {
+        return value;
+    }
+    const result = rule(value);
+    if (result.error) {
+        errors.push({ field, message: result.error });
+        return value;
+    }
+    return result.value;
+}
+
+// Properties that are not declared are dropped
+function checkObject(schema, value, field, errors) {
+    const checked = {};
+    const prefix = field ? `${field}.` : '';
+
+    for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null || value[name] === '') {
+            errors.push({ field: `${prefix}${name}`, message: 'is required' });
+        }
+    }
+
+    for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[name] === undefined || value[name] === null || value[name] === '') {
+            continue;
+        }
+        checked[name] = checkValue(propertySchema, value[name], `${prefix}${name}`, name, errors);
+    }
+    return checked;
+}
+
+function createToolValidator(functionDeclarations) {
+    const declarations = new Map(functionDeclarations.map(declaration => [declaration.name, declaration]));
+
+    // Returns the normalized arguments and the list of { field, message } problems
+    function validate(name, args) {
+        const declaration = declarations.get(name);
+        if (!declaration) {
+            return { args, errors: [{ field: '', message: `unknown tool "${name}"` }] };
+        }
+
+        const errors = [];
+        const checked = checkValue(declaration.parameters || { type: 'object' }, args || {}, '', null, errors);
+        if (errors.length === 0 && TOOL_RULES[name]) {
+            errors.push(...TOOL_RULES[name](checked));
+        }
+        return { args: checked, errors };
+    }
+
+    return { validate };
+}
+
+module.exports = { createToolValidator };
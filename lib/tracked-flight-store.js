@@ -0,0 +1,62 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./json-file-store');
+
+// Tracked flights: a carrier, flight number and date whose status lib/flight-tracker.js polls,
+// with the latest status summary, every change seen and the id of the user who tracks it.
+// One JSON file per flight in TRACKED_FLIGHTS_DIR.
+const TRACKED_FLIGHTS_DIR = process.env.TRACKED_FLIGHTS_DIR || path.join(__dirname, '..', 'data', 'tracked-flights');
+
+const store = createJsonFileStore(TRACKED_FLIGHTS_DIR);
+
+// flightStatus is the summary from lib/flight-status.js when tracking starts
+async function createTrackedFlight({ carrierCode, flightNumber, date, flightStatus, sessionId, userId }) {
+    const now = new Date().toISOString();
+    const tracked = {
+        id: crypto.randomUUID(),
+        carrierCode,
+        flightNumber,
+        date,
+        label: `${carrierCode}${flightNumber} on ${date}`,
+        sessionId: sessionId || null,
+        userId: userId || null,
+        status: 'ACTIVE',
+        createdAt: now,
+        updatedAt: now,
+        lastCheckedAt: now,
+        lastError: null,
+        flightStatus,
+        changes: []
+    };
+    return store.write(tracked);
+}
+
+async function getTrackedFlight(id) {
+    return store.read(id);
+}
+
+// Newest first, optionally only the flights tracked from one chat session or by one user
+async function listTrackedFlights({ sessionId, userId } = {}) {
+    const flights = await store.readAll();
+    return flights
+        .filter(tracked => !sessionId || tracked.sessionId === sessionId)
+        .filter(tracked => !userId || tracked.userId === userId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function saveTrackedFlight(tracked) {
+    tracked.updatedAt = new Date().toISOString();
+    return store.write(tracked);
+}
+
+async function deleteTrackedFlight(id) {
+    return store.remove(id);
+}
+
+module.exports = {
+    createTrackedFlight,
+    getTrackedFlight,
+    listTrackedFlights,
+    saveTrackedFlight,
+    deleteTrackedFlight
+};
@@ -0,0 +1,86 @@
+// Per-user rate limit and daily quotas.
+// The rate limit counts API requests in fixed one-minute windows; the daily quotas count
+// chat turns, tool calls and bookings per UTC day. A limit of 0 turns that limit off.
+// Counts are kept in memory, so they start over when the server restarts.
+
+const MINUTE_MS = 60 * 1000;
+
+const QUOTAS = ['chatTurns', 'toolCalls', 'bookings'];
+
+function nextUtcMidnight(time) {
+    const date = new Date(time);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+// `now` is only replaced by the tests
+function createUsageLimits({ requestsPerMinute = 0, daily = {} } = {}, now = Date.now) {
+    const requestWindows = new Map();
+    const dailyUsage = new Map();
+
+    // { allowed, limit, remaining, resetAt } for one limit; limit is null when it is off
+    const describe = (limit, used, resetAt) => ({
+        allowed: !limit || used < limit,
+        limit: limit || null,
+        remaining: limit ? Math.max(limit - used, 0) : null,
+        resetAt: new Date(resetAt).toISOString()
+    });
+
+    // Counts a request against the user's per-minute limit; refused requests are not counted
+    function takeRequest(userId) {
+        const time = now();
+        let window = requestWindows.get(userId);
+        if (!window || time >= window.resetAt) {
+            window = { count: 0, resetAt: time + MINUTE_MS };
+            requestWindows.set(userId, window);
+        }
+        const state = describe(requestsPerMinute, window.count, window.resetAt);
+        if (state.allowed) {
+            window.count++;
+            state.remaining = state.limit ? state.remaining - 1 : null;
+        }
+        return state;
+    }
+
+    function todaysUsage(userId) {
+        const time = now();
+        let usage = dailyUsage.get(userId);
+        if (!usage || time >= usage.resetAt) {
+            usage = { counts: Object.fromEntries(QUOTAS.map(quota => [quota, 0])), resetAt: nextUtcMidnight(time) };
+            dailyUsage.set(userId, usage);
+        }
+        return usage;
+    }
+
+    // Where the user stands on one daily quota, without using it
+    function peek(userId, quota) {
+        const usage = todaysUsage(userId);
+        return describe(daily[quota], usage.counts[quota], usage.resetAt);
+    }
+
+    // Uses one unit of a daily quota if any is left
+    function consume(userId, quota) {
+        const usage = todaysUsage(userId);
+        const state = describe(daily[quota], usage.counts[quota], usage.resetAt);
+        if (state.allowed) {
+            usage.counts[quota]++;
+            state.remaining = state.limit ? state.remaining - 1 : null;
+        }
+        return state;
+    }
+
+    // Every daily quota of the user: { chatTurns: { limit, used, remaining }, ..., resetAt }
+    function quotas(userId) {
+        const usage = todaysUsage(userId);
+        return {
+            ...Object.fromEntries(QUOTAS.map(quota => {
+                const { limit, remaining } = describe(daily[quota], usage.counts[quota], usage.resetAt);
+                return [quota, { limit, used: usage.counts[quota], remaining }];
+            })),
+            resetAt: new Date(usage.resetAt).toISOString()
+        };
+    }
+
+    return { takeRequest, peek, consume, quotas };
+}
+
+module.exports = { createUsageLimits, QUOTAS };
@@ -0,0 +1,98 @@
+const watchStore = require('./watch-store');
+const { createPoller } = require('./poller');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'watch-scheduler' });
+
+// Re-checks active price watches in the background and records a price history per watch.
+// checkPrice(watch) runs the watch's query and resolves to { price, currency, offerId } for the
+// cheapest offer, or null when nothing is available; notify(notification) is called when a price
+// crosses the watch's threshold.
+
+// Oldest history points are dropped beyond this many
+const MAX_HISTORY_POINTS = 500;
+
+function formatPrice(price, currency) {
+    return `${price.toFixed(2)} ${currency}`;
+}
+
+// Why the price counts as a drop for this watch, or null
+function thresholdReason(watch, price, currency) {
+    const baseline = watch.history.length > 0 ? watch.history[0].price : null;
+
+    if (watch.targetPrice !== null && price <= watch.targetPrice) {
+        return `at or below the target of ${formatPrice(watch.targetPrice, currency)}`;
+    }
+    if (watch.dropPercent !== null && baseline !== null && price <= baseline * (1 - watch.dropPercent / 100)) {
+        return `down ${Math.round((1 - price / baseline) * 100)}% from ${formatPrice(baseline, currency)}`;
+    }
+    if (watch.targetPrice === null && watch.dropPercent === null && baseline !== null && price < baseline) {
+        return `below the first recorded price of ${formatPrice(baseline, currency)}`;
+    }
+    return null;
+}
+
+// The day the watched trip or stay starts; the watch expires after it
+function travelDate(watch) {
+    return watch.type === 'flight' ? watch.query.date : watch.query.checkInDate;
+}
+
+function createWatchScheduler({ checkPrice, notify, intervalMs }) {
+    // Runs one check and saves the result; returns the updated watch (null if it was deleted meanwhile)
+    async function checkWatch(watch) {
+        const now = new Date().toISOString();
+
+        if (travelDate(watch) < now.split('T')[0]) {
+            watch.status = 'EXPIRED';
+        } else {
+            try {
+                const result = await checkPrice(watch);
+                watch.lastError = result ? null : 'No offers are available for this query.';
+                if (result) {
+                    const reason = thresholdReason(watch, result.price, result.currency);
+                    const previous = watch.history[watch.history.length - 1];
+                    watch.history.push({ checkedAt: now, price: result.price, currency: result.currency, offerId: result.offerId });
+                    watch.history = watch.history.slice(-MAX_HISTORY_POINTS);
+
+                    if (reason && !watch.alerting) {
+                        const notification = {
+                            event: 'price_alert',
+                            watchId: watch.id,
+                            label: watch.label,
+                            price: result.price,
+                            currency: result.currency,
+                            previousPrice: previous ? previous.price : null,
+                            reason,
+                            checkedAt: now,
+                            message: `${watch.label} is now ${formatPrice(result.price, result.currency)}, ${reason}.`
+                        };
+                        watch.notifications.push({ at: now, price: result.price, reason });
+                        await notify(notification);
+                    }
+                    watch.alerting = Boolean(reason);
+                }
+            } catch (error) {
+                log.error(`Price check failed for watch ${watch.id}`, { watchId: watch.id, error });
+                watch.lastError = error.message;
+            }
+            watch.lastCheckedAt = now;
+        }
+
+        if (!(await watchStore.getWatch(watch.id))) {
+            return null;
+        }
+        return watchStore.saveWatch(watch);
+    }
+
+    const poller = createPoller({
+        listRecords: () => watchStore.listWatches(),
+        checkRecord: checkWatch,
+        intervalMs,
+        log,
+        name: 'Price watch'
+    });
+
+    return { checkWatch, checkDueWatches: poller.checkDue, start: poller.start, stop: poller.stop };
+}
+
+module.exports = { createWatchScheduler };
@@ -0,0 +1,65 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFileStore } = require('./json-file-store');
+
+// Price watches: a saved searchFlights or getHotelOffers query that the scheduler re-runs,
+// with the cheapest price found at every check, and the id of the user it belongs to. One JSON file per watch in WATCHES_DIR.
+const WATCHES_DIR = process.env.WATCHES_DIR || path.join(__dirname, '..', 'data', 'watches');
+
+const store = createJsonFileStore(WATCHES_DIR);
+
+// type is 'flight' or 'hotel'; the alert fires at or below targetPrice, or after a drop of dropPercent
+// from the first recorded price, or (with neither) on any price below the first one
+async function createWatch({ type, label, query, targetPrice, dropPercent, sessionId, userId }) {
+    const now = new Date().toISOString();
+    const watch = {
+        id: crypto.randomUUID(),
+        type,
+        label,
+        query,
+        targetPrice: targetPrice !== undefined ? targetPrice : null,
+        dropPercent: dropPercent !== undefined ? dropPercent : null,
+        sessionId: sessionId || null,
+        userId: userId || null,
+        status: 'ACTIVE',
+        // Whether the price is currently past the threshold, so an alert fires once per crossing
+        alerting: false,
+        createdAt: now,
+        updatedAt: now,
+        lastCheckedAt: null,
+        lastError: null,
+        history: [],
+        notifications: []
+    };
+    return store.write(watch);
+}
+
+async function getWatch(id) {
+    return store.read(id);
+}
+
+// Newest first, optionally only the watches created from one chat session or of one user
+async function listWatches({ sessionId, userId } = {}) {
+    const watches = await store.readAll();
+    return watches
+        .filter(watch => !sessionId || watch.sessionId === sessionId)
+        .filter(watch => !userId || watch.userId === userId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function saveWatch(watch) {
+    watch.updatedAt = new Date().toISOString();
+    return store.write(watch);
+}
+
+async function deleteWatch(id) {
+    return store.remove(id);
+}
+
+module.exports = {
+    createWatch,
+    getWatch,
+    listWatches,
+    saveWatch,
+    deleteWatch
+};
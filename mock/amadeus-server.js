@@ -0,0 +1,288 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs');
+
+// Local stand-in for the Amadeus Self-Service endpoints used by server.js.
+// Serves the JSON fixtures in mock/fixtures so the app runs with no network or credentials.
+// Run on its own with `node mock/amadeus-server.js` or let server.js start it in MOCK_MODE.
+const FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(__dirname, 'fixtures');
+
+// Fixtures are read on every request so they can be edited while the server runs
+function fixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+}
+
+function amadeusError(res, status, code, title, detail) {
+    res.status(status).json({ errors: [{ status, code, title, detail }] });
+}
+
+// Keep fixture entries whose key is in a comma-separated query value
+function filterByIds(items, ids, key) {
+    if (!ids) {
+        return items;
+    }
+    const wanted = String(ids).split(',').map(id => id.trim());
+    return items.filter(item => wanted.includes(key(item)));
+}
+
+// Great-circle distance in km, rounded to 0.01 like the Hotel List API
+function distanceKm(latitude, longitude, geoCode) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(geoCode.latitude - latitude);
+    const dLon = toRadians(geoCode.longitude - longitude);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(latitude)) * Math.cos(toRadians(geoCode.latitude)) * Math.sin(dLon / 2) ** 2;
+    return Math.round(6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 100) / 100;
+}
+
+function createMockAmadeusApp() {
+    const app = express();
+    app.use(express.json({ limit: '5mb' }));
+    app.use(express.urlencoded({ extended: false }));
+
+    app.post('/v1/security/oauth2/token', (req, res) => {
+        res.json({ type: 'amadeusOAuth2Token', access_token: 'mock-access-token', token_type: 'Bearer', expires_in: 1799, state: 'approved' });
+    });
+
+    // Every other endpoint requires the bearer token, like the real API
+    app.use((req, res, next) => {
+        if (req.headers.authorization !== 'Bearer mock-access-token') {
+            return amadeusError(res, 401, 38191, 'Invalid HTTP header', 'Missing or invalid format for mandatory Authorization header');
+        }
+        next();
+    });
+
+    app.get('/v1/reference-data/locations', (req, res) => {
+        const keyword = String(req.query.keyword || '').toUpperCase();
+        const subTypes = String(req.query.subType || 'CITY,AIRPORT').split(',');
+        const data = fixture('locations').data.filter(location =>
+            subTypes.includes(location.subType) &&
+            (location.name.startsWith(keyword) || location.iataCode === keyword || location.address.cityName.startsWith(keyword)) &&
+            (!req.query.countryCode || location.address.countryCode === req.query.countryCode));
+        res.json({ meta: { count: data.length }, data });
+    });
+
+    const flightOffers = (req, res) => {
+        const offers = fixture('flight-offers');
+        const max = parseInt(req.query.max || (req.body && req.body.searchCriteria && req.body.searchCriteria.maxFlightOffers), 10);
+        if (max) {
+            offers.data = offers.data.slice(0, max);
+        }
+        offers.meta.count = offers.data.length;
+        res.json(offers);
+    };
+    app.get('/v2/shopping/flight-offers', flightOffers);
+    app.post('/v2/shopping/flight-offers', flightOffers);
+
+    app.get('/v1/shopping/flight-destinations', (req, res) => res.json(fixture('flight-destinations')));
+    app.get('/v1/shopping/flight-dates', (req, res) => res.json(fixture('flight-dates')));
+
+    // Pricing confirms the offers it receives, adding the seats and bags chosen in
+    // fareDetailsBySegment.additionalServices at the prices of the seatmap and bags fixtures
+    app.post('/v1/shopping/flight-offers/pricing', (req, res) => {
+        const offers = req.body && req.body.data && req.body.data.flightOffers;
+        if (!Array.isArray(offers) || offers.length === 0) {
+            return amadeusError(res, 400, 477, 'INVALID FORMAT', 'flightOffers is required');
+        }
+
+        const seats = fixture('seatmap').data[0].decks[0].seats;
+        const bags = Object.values(fixture('bags'));
+        const priced = [];
+        for (const offer of offers) {
+            const services = { SEATS: 0, CHECKED_BAGS: 0 };
+            for (const traveler of offer.travelerPricings || []) {
+                for (const fare of traveler.fareDetailsBySegment) {
+                    const additional = fare.additionalServices || {};
+                    if (additional.chargeableSeatNumber) {
+                        const seat = seats.find(candidate => candidate.number === additional.chargeableSeatNumber);
+                        if (!seat || seat.travelerPricing[0].seatAvailabilityStatus !== 'AVAILABLE') {
+                            return amadeusError(res, 400, 38034, 'ONE OR MORE SERVICES ARE NOT AVAILABLE', `Seat ${additional.chargeableSeatNumber} is not available`);
+                        }
+                        services.SEATS += seat.travelerPricing[0].price ? Number(seat.travelerPricing[0].price.total) : 0;
+                    }
+                    if (additional.chargeableCheckedBags) {
+                        const bag = bags.find(candidate => candidate.quantity === additional.chargeableCheckedBags.quantity);
+                        if (!bag) {
+                            return amadeusError(res, 400, 38034, 'ONE OR MORE SERVICES ARE NOT AVAILABLE', 'Error booking additional services');
+                        }
+                        services.CHECKED_BAGS += Number(bag.price.amount);
+                    }
+                }
+            }
+
+            const additionalServices = Object.entries(services)
+                .filter(([, amount]) => amount > 0)
+                .map(([type, amount]) => ({ type, amount: amount.toFixed(2) }));
+            const extras = additionalServices.reduce((sum, service) => sum + Number(service.amount), 0);
+            const grandTotal = (Number(offer.price.total) + extras).toFixed(2);
+            priced.push({
+                ...offer,
+                type: 'flight-offer',
+                price: { ...offer.price, grandTotal, ...(additionalServices.length > 0 ? { additionalServices } : {}) }
+            });
+        }
+
+        const include = String(req.query.include || '').split(',');
+        res.json({
+            data: { type: 'flight-offers-pricing', flightOffers: priced },
+            ...(include.includes('bags') ? { included: { bags: fixture('bags') } } : {})
+        });
+    });
+
+    // One seat map per segment of each offer, all with the layout of the fixture
+    app.post('/v1/shopping/seatmaps', (req, res) => {
+        const offers = req.body && req.body.data;
+        if (!Array.isArray(offers) || offers.length === 0) {
+            return amadeusError(res, 400, 477, 'INVALID FORMAT', 'data must contain flight offers');
+        }
+        const [template] = fixture('seatmap').data;
+        const data = offers.flatMap(offer => offer.itineraries.flatMap(itinerary => itinerary.segments.map(segment => ({
+            ...template,
+            flightOfferId: offer.id,
+            segmentId: segment.id,
+            carrierCode: segment.carrierCode,
+            number: segment.number,
+            aircraft: segment.aircraft,
+            departure: segment.departure,
+            arrival: segment.arrival
+        }))));
+        res.json({ meta: { count: data.length }, data });
+    });
+
+    app.post('/v1/booking/flight-orders', (req, res) => {
+        const body = req.body && req.body.data;
+        if (!body || !Array.isArray(body.flightOffers) || !Array.isArray(body.travelers)) {
+            return amadeusError(res, 400, 477, 'INVALID FORMAT', 'flightOffers and travelers are required');
+        }
+        const order = fixture('flight-order');
+        order.data.flightOffers = body.flightOffers;
+        order.data.travelers = body.travelers;
+        res.status(201).json(order);
+    });
+
+    app.get('/v1/booking/flight-orders/:id', (req, res) => {
+        const order = fixture('flight-order');
+        if (req.params.id !== order.data.id) {
+            return amadeusError(res, 404, 1797, 'NOT FOUND', 'Could not find the flight order');
+        }
+        order.data.flightOffers = fixture('flight-offers').data.slice(0, 1);
+        res.json(order);
+    });
+
+    app.delete('/v1/booking/flight-orders/:id', (req, res) => {
+        if (req.params.id !== fixture('flight-order').data.id) {
+            return amadeusError(res, 404, 1797, 'NOT FOUND', 'Could not find the flight order');
+        }
+        res.status(204).end();
+    });
+
+    app.get('/v2/schedule/flights', (req, res) => {
+        const { carrierCode, flightNumber, scheduledDepartureDate } = req.query;
+        if (!carrierCode || !flightNumber || !scheduledDepartureDate) {
+            return amadeusError(res, 400, 32171, 'MANDATORY DATA MISSING', 'carrierCode, flightNumber and scheduledDepartureDate are required');
+        }
+        const flights = fixture('flight-status');
+        flights.data = flights.data.filter(flight =>
+            flight.flightDesignator.carrierCode === carrierCode &&
+            String(flight.flightDesignator.flightNumber) === String(flightNumber) &&
+            flight.scheduledDepartureDate === scheduledDepartureDate);
+        flights.meta.count = flights.data.length;
+        res.json(flights);
+    });
+
+    // The same probabilities for every flight, with the id the real API builds from the query
+    app.get('/v1/travel/predictions/flight-delay', (req, res) => {
+        const { carrierCode, flightNumber, originLocationCode, destinationLocationCode, departureDate } = req.query;
+        if (!carrierCode || !flightNumber || !originLocationCode || !destinationLocationCode || !departureDate) {
+            return amadeusError(res, 400, 32171, 'MANDATORY DATA MISSING', 'The flight details are required');
+        }
+        const prediction = fixture('flight-delay');
+        const id = `${carrierCode}${flightNumber}${originLocationCode}${destinationLocationCode}${departureDate.replace(/-/g, '')}`;
+        prediction.data.forEach(item => { item.id = id; });
+        res.json(prediction);
+    });
+
+    // Hotel List by city, geocode or hotel IDs, all from one fixture. chainCodes, ratings and amenities
+    // filter like the API does; the fixture's amenities are only matched, the API does not return them.
+    const hotelList = (req, res, hotels) => {
+        const list = name => String(req.query[name] || '').split(',').filter(Boolean);
+        const [chainCodes, ratings, amenities] = [list('chainCodes'), list('ratings'), list('amenities')];
+        const data = hotels
+            .filter(hotel => chainCodes.length === 0 || chainCodes.includes(hotel.chainCode))
+            .filter(hotel => ratings.length === 0 || ratings.includes(hotel.rating))
+            .filter(hotel => amenities.every(amenity => (hotel.amenities || []).includes(amenity)))
+            .map(({ amenities: _amenities, ...hotel }) => hotel);
+        res.json({ data, meta: { count: data.length } });
+    };
+
+    app.get('/v1/reference-data/locations/hotels/by-city', (req, res) => {
+        hotelList(req, res, fixture('hotels-by-city').data.filter(hotel => !req.query.cityCode || hotel.iataCode === req.query.cityCode));
+    });
+
+    app.get('/v1/reference-data/locations/hotels/by-geocode', (req, res) => {
+        const latitude = Number(req.query.latitude);
+        const longitude = Number(req.query.longitude);
+        if (isNaN(latitude) || isNaN(longitude)) {
+            return amadeusError(res, 400, 477, 'INVALID FORMAT', 'latitude and longitude are required');
+        }
+        const radius = Number(req.query.radius || 5);
+        const hotels = fixture('hotels-by-city').data
+            .map(hotel => ({ ...hotel, distance: { value: distanceKm(latitude, longitude, hotel.geoCode), unit: 'KM' } }))
+            .filter(hotel => hotel.distance.value <= radius)
+            .sort((a, b) => a.distance.value - b.distance.value);
+        hotelList(req, res, hotels);
+    });
+
+    app.get('/v1/reference-data/locations/hotels/by-hotels', (req, res) => {
+        if (!req.query.hotelIds) {
+            return amadeusError(res, 400, 477, 'INVALID FORMAT', 'hotelIds is required');
+        }
+        hotelList(req, res, filterByIds(fixture('hotels-by-city').data, req.query.hotelIds, hotel => hotel.hotelId));
+    });
+
+    app.get('/v3/shopping/hotel-offers', (req, res) => {
+        const offers = fixture('hotel-offers');
+        offers.data = filterByIds(offers.data, req.query.hotelIds, item => item.hotel.hotelId);
+        if (offers.data.length === 0) {
+            return amadeusError(res, 400, 3664, 'NO ROOMS AVAILABLE AT REQUESTED PROPERTY', 'No offers for the requested hotels');
+        }
+        res.json(offers);
+    });
+
+    app.post('/v1/booking/hotel-bookings', (req, res) => {
+        const body = req.body && req.body.data;
+        if (!body || !body.offerId || !Array.isArray(body.guests)) {
+            return amadeusError(res, 400, 477, 'INVALID FORMAT', 'offerId and guests are required');
+        }
+        res.status(201).json(fixture('hotel-booking'));
+    });
+
+    app.get('/v2/e-reputation/hotel-sentiments', (req, res) => {
+        const sentiments = fixture('hotel-sentiments');
+        sentiments.data = filterByIds(sentiments.data, req.query.hotelIds, item => item.hotelId);
+        res.json(sentiments);
+    });
+
+    app.get('/v1/shopping/activities', (req, res) => res.json(fixture('activities')));
+
+    app.use((req, res) => {
+        amadeusError(res, 404, 38196, 'Resource not found', `The mock does not serve ${req.method} ${req.path}`);
+    });
+
+    return app;
+}
+
+function startMockAmadeus(port) {
+    return new Promise((resolve, reject) => {
+        const server = createMockAmadeusApp().listen(port, () => resolve(server));
+        server.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    const port = process.env.MOCK_AMADEUS_PORT || 3001;
+    startMockAmadeus(port).then(() => {
+        console.log(`Mock Amadeus API running on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockAmadeusApp, startMockAmadeus };
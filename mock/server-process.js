@@ -0,0 +1,97 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Runs server.js as a child process on free ports with its data in a temporary directory.
+// Used by the tests and the eval runner; MOCK_MODE is on and authentication off unless `env` says otherwise.
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+async function startMockServer(env = {}) {
+    const port = await freePort();
+    const mockAmadeusPort = await freePort();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'amadeus-poc-'));
+
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            MOCK_MODE: '1',
+            PORT: String(port),
+            MOCK_AMADEUS_PORT: String(mockAmadeusPort),
+            SESSIONS_DIR: path.join(dataDir, 'sessions'),
+            WATCHES_DIR: path.join(dataDir, 'watches'),
+            ITINERARIES_DIR: path.join(dataDir, 'itineraries'),
+            TRACKED_FLIGHTS_DIR: path.join(dataDir, 'tracked-flights'),
+            AUDIT_LOG_FILE: path.join(dataDir, 'audit.log'),
+            AUTH_API_KEYS: '',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const baseUrl = `http://localhost:${port}`;
+
+    async function request(method, url, body, headers = {}) {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+    }
+
+    // POST to /api/chat/stream and collect every event of the turn
+    async function streamChat(body) {
+        const response = await fetch(`${baseUrl}/api/chat/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`Chat request failed with ${response.status}: ${await response.text()}`);
+        }
+        return (await response.text()).trim().split('\n\n').map(raw => {
+            const [eventLine, dataLine] = raw.split('\n');
+            return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+        });
+    }
+
+    async function stop() {
+        child.removeAllListeners('exit');
+        child.kill();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    return { baseUrl, dataDir, request, streamChat, stop };
+}
+
+module.exports = { startMockServer };
@@ -0,0 +1,36 @@
+const http = require('http');
+
+// Helpers for the tests of the background jobs (price watches, flight tracking).
+
+// A local NOTIFICATION_WEBHOOK_URL target that keeps every JSON body posted to it
+async function startWebhookReceiver() {
+    const notifications = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            notifications.push(JSON.parse(body));
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    return {
+        url: `http://localhost:${server.address().port}/alerts`,
+        notifications,
+        close: () => server.close()
+    };
+}
+
+// Polls check() until it returns something truthy, and resolves to that
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
+module.exports = { startWebhookReceiver, waitFor };
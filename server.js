@@ -1,192 +1,134 @@
 require('dotenv').config();
+const crypto = require('crypto');
 const express = require('express');
-const axios = require('axios');
 const path = require('path');
-const { GoogleGenerativeAI, SchemaType } = require('@google/generative-ai');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
+const sessionStore = require('./lib/session-store');
+const pendingActions = require('./lib/pending-actions');
+const { appendAuditEntry } = require('./lib/audit-log');
+const { createAmadeusClient, AmadeusError } = require('./lib/amadeus-client');
+const { createToolValidator } = require('./lib/tool-validation');
+const { toolDeclarations } = require('./lib/tool-declarations');
+const { createProvider, normalizeHistory } = require('./lib/llm');
+const watchStore = require('./lib/watch-store');
+const { createWatchScheduler } = require('./lib/watch-scheduler');
+const { sendNotification } = require('./lib/notifications');
+const itineraryStore = require('./lib/itinerary-store');
+const { flightItems, hotelItem, activityItem, describeItinerary } = require('./lib/itinerary');
+const { toICalendar, toPrintableHtml } = require('./lib/itinerary-export');
+const trackedFlightStore = require('./lib/tracked-flight-store');
+const { createFlightTracker } = require('./lib/flight-tracker');
+const { summarizeFlightStatus } = require('./lib/flight-status');
+const { summarizeSeatMap, summarizeBagOptions, applyAncillaries, mergeAncillaries, describeAncillaries } = require('./lib/ancillaries');
+const { summarizeHotel, mergeSentiments, rankHotels, paginate, describeHotel, DEFAULT_PAGE_SIZE } = require('./lib/hotel-search');
+const { createLogger, runWithContext, setContext } = require('./lib/logger');
+const { createRegistry } = require('./lib/metrics');
+const { createAuth, TOKEN_COOKIE } = require('./lib/auth');
+const { createUsageLimits, QUOTAS } = require('./lib/usage-limits');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// --- Gemini Configuration ---
-let genAI = null;
-let model = null;
+// MOCK_MODE serves Amadeus from local fixtures and replaces the LLM with the scripted provider,
+// so the app runs end-to-end without network access or credentials
+const isEnabled = value => ['1', 'true'].includes(String(value).toLowerCase());
+const MOCK_MODE = isEnabled(process.env.MOCK_MODE);
+// MOCK_AMADEUS only serves Amadeus from the fixtures and keeps the configured LLM (used by the eval runner)
+const MOCK_AMADEUS = MOCK_MODE || isEnabled(process.env.MOCK_AMADEUS);
+const MOCK_AMADEUS_PORT = process.env.MOCK_AMADEUS_PORT || Number(PORT) + 1;
 
-// Initialize Gemini with Secret Manager or Env Var
-async function initializeGemini() {
-    let apiKey = process.env.GEMINI_API_KEY;
+// --- Logging and Metrics ---
+// Logs are JSON lines (lib/logger.js) carrying the requestId and sessionId of the request being
+// handled, with personal data redacted. GET /metrics serves the metrics below in the Prometheus text format.
+const log = createLogger();
+const metrics = createRegistry();
+const httpRequests = metrics.counter('http_requests_total', 'API requests handled, by route and status code.', ['method', 'route', 'status']);
+const toolCallDuration = metrics.histogram('tool_call_duration_seconds', 'Duration of the tool calls of the model, by tool and outcome.', ['tool', 'outcome']);
+const toolCallErrors = metrics.counter('tool_call_errors_total', 'Tool calls that failed or were refused, by tool and reason (invalid_arguments, quota or error).', ['tool', 'reason']);
+const amadeusResponses = metrics.counter('amadeus_responses_total', 'Amadeus API call attempts, by HTTP method and status code (network when there was no response).', ['method', 'status']);
+const amadeusTokenRefreshes = metrics.counter('amadeus_token_refreshes_total', 'Amadeus access token requests, by result.', ['result']);
+const llmRoundTrips = metrics.histogram('llm_request_duration_seconds', 'LLM round trips, by provider, model, operation (chat or complete) and outcome.', ['provider', 'model', 'operation', 'outcome']);
+const llmTokens = metrics.counter('llm_tokens_total', 'Tokens used by LLM chat round trips, by provider, model and type (input or output).', ['provider', 'model', 'type']);
+const authFailures = metrics.counter('auth_failures_total', 'API requests and sign-ins refused for their credentials, by reason (missing or invalid).', ['reason']);
+const limitRefusals = metrics.counter('usage_limit_refusals_total', 'Requests, chat turns, tool calls and bookings refused by a rate limit or daily quota, by limit.', ['limit']);
 
-    if (!apiKey) {
-        console.log('GEMINI_API_KEY not found in env. Attempting to fetch from Secret Manager...');
-        try {
-            const client = new SecretManagerServiceClient();
-            // Use configured project ID or default to current environment's project
-            const projectId = process.env.GOOGLE_PROJECT_ID || 'glov-ecomai'; 
-            const secretName = process.env.GEMINI_SECRET_NAME || 'chat-genai-token';
-            const name = `projects/${projectId}/secrets/${secretName}/versions/latest`;
+// Outcome of the latest LLM round trip, reported by /healthz
+const llmHealth = { lastRoundTripAt: null, lastError: null };
 
-            console.log(`Fetching secret: ${name}`);
-            const [version] = await client.accessSecretVersion({ name });
-            apiKey = version.payload.data.toString();
-            console.log('Successfully retrieved API key from Secret Manager.');
+// The provider with every round trip timed and counted, and its token usage recorded
+function instrumentLLM(provider) {
+    const labels = { provider: provider.name, model: provider.model };
+
+    async function observe(operation, signal, run) {
+        const stopTimer = llmRoundTrips.startTimer({ ...labels, operation });
+        try {
+            const result = await run();
+            stopTimer({ outcome: 'ok' });
+            llmHealth.lastError = null;
+            return result;
         } catch (error) {
-            console.error('Failed to retrieve API key from Secret Manager:', error.message);
-            console.error('Ensure you have authenticated with `gcloud auth application-default login` and the secret exists.');
+            const cancelled = Boolean(signal && signal.aborted);
+            stopTimer({ outcome: cancelled ? 'cancelled' : 'error' });
+            if (!cancelled) {
+                llmHealth.lastError = error.message;
+            }
+            throw error;
+        } finally {
+            llmHealth.lastRoundTripAt = new Date().toISOString();
         }
     }
 
-    if (!apiKey) {
-        console.error('CRITICAL ERROR: Could not initialize Gemini. No API key found.');
-        return;
-    }
+    return {
+        ...provider,
+        chat: async options => {
+            const reply = await observe('chat', options.signal, () => provider.chat(options));
+            if (reply.usage) {
+                llmTokens.inc({ ...labels, type: 'input' }, reply.usage.inputTokens || 0);
+                llmTokens.inc({ ...labels, type: 'output' }, reply.usage.outputTokens || 0);
+            }
+            return reply;
+        },
+        complete: prompt => observe('complete', null, () => provider.complete(prompt))
+    };
+}
 
-    genAI = new GoogleGenerativeAI(apiKey);
-
-    // Define the tools
-    const tools = [
-        {
-            functionDeclarations: [
-                {
-                    name: "searchFlights",
-                    description: "Search for flights given an origin, destination, and date. Code must be IATA airport code.",
-                    parameters: {
-                        type: SchemaType.OBJECT,
-                        properties: {
-                            origin: { 
-                                type: SchemaType.STRING, 
-                                description: "The IATA code of the origin airport (e.g., IST, SFO, LHR)." 
-                            },
-                            destination: { 
-                                type: SchemaType.STRING, 
-                                description: "The IATA code of the destination airport (e.g., JFK, CDG, DXB)." 
-                            },
-                            date: { 
-                                type: SchemaType.STRING, 
-                                description: "The departure date in YYYY-MM-DD format." 
-                            }
-                        },
-                        required: ["origin", "destination", "date"]
-                    }
-                },
-                {
-                    name: "searchHotelsByCity",
-                    description: "Search for hotels in a specific city.",
-                    parameters: {
-                        type: SchemaType.OBJECT,
-                        properties: {
-                            cityCode: {
-                                type: SchemaType.STRING,
-                                description: "The IATA city code (e.g., PAR, LON, NYC)."
-                            }
-                        },
-                        required: ["cityCode"]
-                    }
-                },
-                {
-                    name: "getHotelOffers",
-                    description: "Get offers for specific hotels. Use this after finding hotel IDs.",
-                    parameters: {
-                        type: SchemaType.OBJECT,
-                        properties: {
-                            hotelIds: {
-                                type: SchemaType.STRING,
-                                description: "Comma-separated list of Amadeus hotel IDs (e.g., RTPAR001)."
-                            },
-                            adults: {
-                                type: SchemaType.STRING,
-                                description: "Number of adult guests (default 1)."
-                            },
-                            checkInDate: {
-                                type: SchemaType.STRING,
-                                description: "Check-in date in YYYY-MM-DD format."
-                            },
-                            checkOutDate: {
-                                type: SchemaType.STRING,
-                                description: "Check-out date in YYYY-MM-DD format."
-                            }
-                        },
-                        required: ["hotelIds", "checkInDate", "checkOutDate"]
-                    }
-                },
-                {
-                    name: "bookHotel",
-                    description: "Book a hotel offer. This is a simulation.",
-                    parameters: {
-                        type: SchemaType.OBJECT,
-                        properties: {
-                            offerId: {
-                                type: SchemaType.STRING,
-                                description: "The offer ID to book."
-                            },
-                            guestName: {
-                                type: SchemaType.STRING,
-                                description: "Name of the guest."
-                            },
-                            guestEmail: {
-                                type: SchemaType.STRING,
-                                description: "Email of the guest."
-                            },
-                            guestPhone: {
-                                type: SchemaType.STRING,
-                                description: "Phone number of the guest."
-                            }
-                        },
-                        required: ["offerId", "guestName", "guestEmail", "guestPhone"]
-                    }
-                },
-                {
-                    name: "getHotelSentiments",
-                    description: "Get sentiment analysis/ratings for a hotel.",
-                    parameters: {
-                        type: SchemaType.OBJECT,
-                        properties: {
-                            hotelIds: {
-                                type: SchemaType.STRING,
-                                description: "Comma-separated list of Amadeus hotel IDs."
-                            }
-                        },
-                        required: ["hotelIds"]
-                    }
-                },
-                {
-                    name: "searchActivities",
-                    description: "Search for tours and activities in a location.",
-                    parameters: {
-                        type: SchemaType.OBJECT,
-                        properties: {
-                            latitude: {
-                                type: SchemaType.NUMBER,
-                                description: "Latitude of the location."
-                            },
-                            longitude: {
-                                type: SchemaType.NUMBER,
-                                description: "Longitude of the location."
-                            }
-                        },
-                        required: ["latitude", "longitude"]
-                    }
-                }
-            ]
-        }
-    ];
+// --- LLM Configuration ---
+// LLM_PROVIDER picks the adapter (gemini, openai or scripted), LLM_MODEL and LLM_TEMPERATURE tune it
+let llm = null;
+
+// Every function call is checked against the tool declarations before it runs
+const toolValidator = createToolValidator(toolDeclarations);
 
-    model = genAI.getGenerativeModel({
-        model: 'gemini-2.0-flash',
-        tools: tools,
-        systemInstruction: {
-            parts: [{ text: `You are a helpful and friendly travel assistant. 
+const SYSTEM_PROMPT = `You are a helpful and friendly travel assistant. 
             Your goal is to help users plan their trips by finding flights, hotels, and activities.
             
             **Capabilities:**
-            - **Flights:** Search for flights using IATA codes.
-            - **Hotels:** Search for hotels by city, check offers, and book them.
+            - **Inspiration:** Find the cheapest destinations from a city and the cheapest dates to fly a route.
+            - **Locations:** Look up airports and cities to get IATA codes, city codes and coordinates.
+            - **Flights:** Search for one-way, return and multi-city flights using IATA codes, confirm the price of an offer, book it, view and cancel flight orders.
+            - **Seats and Bags:** Show the seat map of a flight offer, list extra baggage options, and add the chosen seats and bags to the offer's price.
+            - **Hotels:** Search for hotels by city, near a point (a landmark or an activity) or by hotel ID, filter them by amenities, star rating and chain, rank them by guest rating, check offers, and book them.
             - **Activities:** Find things to do in a specific location.
+            - **Flight Status:** Check the live status of a flight, predict the delay risk of a flight offer, and track a flight to notify the user of gate changes, delays and cancellations.
             - **Sentiments:** Check reviews/ratings for hotels.
+            - **Itinerary:** Collect the chosen flights, hotels and activities into a day-by-day trip plan, check it for conflicts and export it to a calendar or a printable summary.
+            - **Price Watches:** Watch a flight route or a hotel stay, re-check its price in the background and alert the user when it drops.
 
             **Guidelines:**
             - Always ask clarifying questions if the user's request is ambiguous.
-            - If the user asks for a city name for flights, convert it to the appropriate IATA code (e.g., London -> LHR).
-            - For hotel search, start by finding hotels in a city, then check for offers if the user is interested in a specific one.
+            - Never guess IATA codes or coordinates. When the user names a place, call searchLocations first and use the codes and geoCode it returns for searchFlights (IATA or city code), searchHotelsByCity (city code) and searchActivities (latitude/longitude).
+            - If searchLocations returns more than one possible place (its result has "ambiguous": true), list the candidates and ask the user to choose before searching. Several airports of the same city are not ambiguous: use the city code.
+            - For hotel search, start by finding hotels in a city, then check for offers if the user is interested in a specific one. Use searchHotelsByGeocode for hotels near a landmark or an activity, with the coordinates from searchLocations or searchActivities.
+            - Hotel searches return one page of hotels and the total. Narrow long lists with amenities, ratings or chainCodes, use sortBy "rating" when the user wants the best reviewed hotels, and repeat the same search with the next page only when the user asks for more.
+            - To book a flight, first confirm the price of the chosen offer with confirmFlightPrice, tell the user the final price, and collect every traveler's name, date of birth, gender, email and phone before calling createFlightOrder.
+            - If a tool returns INVALID_ARGUMENTS, fix the fields listed in validationErrors and call it again. If the fix needs information only the user has (e.g., a date or a name), ask for it instead of guessing.
+            - If a tool returns an error message, explain it to the user in plain words and suggest the next step.
+            - If a tool returns QUOTA_EXCEEDED, tell the user they have reached their daily limit and when it resets. Do not call that tool again in this conversation turn.
+            - Bookings and cancellations (bookHotel, createFlightOrder, cancelFlightOrder) return a PENDING_CONFIRMATION status instead of running. Summarize what will happen and ask the user to press Confirm on the card. Never claim a booking or cancellation is done until you are told it was confirmed.
+            - When the user picks a flight, hotel or activity for their trip ("add this to my trip"), call addToItinerary with its offer or activity ID. Activities need the day, so ask for it if the user has not said. Mention any conflicts the itinerary reports and suggest how to fix them.
+            - When the user wants to choose a seat or add bags, call getSeatMap or getBaggageOptions, then selectAncillaries with their choices. The user may also pick a seat on the map themselves; you will be told which one. Always quote the re-priced total that includes the extras.
+            - For the status of a flight the user names (e.g., "TK1821 tomorrow"), call getFlightStatus with the airline code and flight number split apart. To ask "will it be late?" about an offer from a search, call predictFlightDelay with its offer ID.
+            - When the user wants to be told about a price drop, use watchFlightPrice or watchHotelPrice with their target price or percentage. For questions about how a watched price has moved, call getPriceWatches instead of searching again.
             - If the user provides relative dates (e.g., "next Friday"), calculate the YYYY-MM-DD date based on the current date provided in the context.
             
             **Response Formatting:**
@@ -210,158 +152,775 @@ async function initializeGemini() {
               }
               \`\`\`
             - Do **not** repeat the table data in your text response. Just provide the JSON block and a brief intro/outro.
-            - Be conversational and maintain context.` }]
+            - Be conversational and maintain context.`;
+
+// Gemini API key from the env, or else from Secret Manager
+async function resolveGeminiApiKey() {
+    let apiKey = process.env.GEMINI_API_KEY;
+
+    if (!apiKey) {
+        log.info('GEMINI_API_KEY not found in env. Attempting to fetch from Secret Manager...');
+        try {
+            const client = new SecretManagerServiceClient();
+            // Use configured project ID or default to current environment's project
+            const projectId = process.env.GOOGLE_PROJECT_ID || 'glov-ecomai'; 
+            const secretName = process.env.GEMINI_SECRET_NAME || 'chat-genai-token';
+            const name = `projects/${projectId}/secrets/${secretName}/versions/latest`;
+
+            log.info(`Fetching secret: ${name}`);
+            const [version] = await client.accessSecretVersion({ name });
+            apiKey = version.payload.data.toString();
+            log.info('Successfully retrieved API key from Secret Manager.');
+        } catch (error) {
+            log.error('Failed to retrieve API key from Secret Manager', { error });
+            log.error('Ensure you have authenticated with `gcloud auth application-default login` and the secret exists.');
         }
-    });
+    }
+
+    return apiKey;
+}
+
+async function initializeLLM() {
+    const providerName = MOCK_MODE ? 'scripted' : (process.env.LLM_PROVIDER || 'gemini');
+    const options = {
+        model: process.env.LLM_MODEL || undefined,
+        temperature: process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : undefined
+    };
+
+    if (providerName === 'gemini') {
+        options.apiKey = await resolveGeminiApiKey();
+        if (!options.apiKey) {
+            log.error('CRITICAL ERROR: Could not initialize Gemini. No API key found.');
+            return;
+        }
+    } else if (providerName === 'openai') {
+        // Optional for locally hosted models
+        options.apiKey = process.env.OPENAI_API_KEY;
+        options.baseUrl = process.env.OPENAI_BASE_URL || undefined;
+    }
+
+    try {
+        llm = instrumentLLM(createProvider(providerName, options));
+        log.info(`Using the ${llm.name} LLM provider with model ${llm.model}.`);
+    } catch (error) {
+        log.error('CRITICAL ERROR: Could not initialize the LLM provider', { error });
+    }
 }
 
 // Call initialization
-initializeGemini();
+initializeLLM();
 
 // Serve static files from public directory
 app.use(express.static('public'));
 app.use(express.json());
 
-let accessToken = null;
-let tokenExpiry = null;
+// Every API request runs with a requestId (the caller's X-Request-Id or a new one) in its log context,
+// and is logged and counted when it finishes
+app.use((req, res, next) => {
+    const requestId = req.get('X-Request-Id') || crypto.randomUUID();
+    const sessionId = (req.body && req.body.sessionId) || req.query.sessionId;
+    const logContext = { requestId, ...(sessionId ? { sessionId: String(sessionId) } : {}) };
+    const startedAt = Date.now();
+    res.set('X-Request-Id', requestId);
+
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        // Scrapes and probes are only logged at debug level
+        const level = req.path === '/metrics' || req.path === '/healthz' ? 'debug' : 'info';
+        log[level](`${req.method} ${req.path} ${res.statusCode}`, {
+            ...logContext,
+            method: req.method,
+            route,
+            status: res.statusCode,
+            durationMs: Date.now() - startedAt
+        });
+    });
+    runWithContext(logContext, next);
+});
+
+// --- Authentication and Usage Limits ---
+// Every /api route needs a user (lib/auth.js): one of the API keys in AUTH_API_KEYS ("userId:key" pairs),
+// or the signed session token POST /api/auth/login puts in a cookie. Without AUTH_API_KEYS the API is
+// only open in mock mode, where everyone is the "local" user.
+// Each user has a per-minute request limit and daily quotas on chat turns, tool calls and bookings
+// (lib/usage-limits.js); API responses report what is left in X-RateLimit-* and X-Quota-* headers.
+// The routes that call Amadeus outside a chat turn (inspiration searches, hotel pages ranked by rating,
+// seat and bag choices, new watches and tracked flights) use a tool call too.
+const auth = createAuth({
+    apiKeys: process.env.AUTH_API_KEYS,
+    tokenSecret: process.env.AUTH_TOKEN_SECRET,
+    tokenTtlMs: (parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000
+});
+const AUTH_REQUIRED = auth.enabled || !MOCK_AMADEUS;
+const LOCAL_USER = { id: 'local', method: 'none' };
+
+if (!auth.enabled && AUTH_REQUIRED) {
+    log.error('AUTH_API_KEYS is not set: every API request will be refused. Configure at least one userId:key pair.');
+} else if (auth.enabled && !process.env.AUTH_TOKEN_SECRET) {
+    log.warn('AUTH_TOKEN_SECRET is not set: users have to sign in again whenever the server restarts.');
+}
+
+// Unset means the default; 0 turns the limit off
+const limitFromEnv = (value, fallback) => (value === undefined || value === '' ? fallback : Math.max(parseInt(value, 10) || 0, 0));
 
-// Helper to get Amadeus Access Token
-async function getAccessToken() {
-    const currentTime = Date.now();
-    
-    if (accessToken && tokenExpiry && currentTime < tokenExpiry) {
-        return accessToken;
+const usageLimits = createUsageLimits({
+    requestsPerMinute: limitFromEnv(process.env.RATE_LIMIT_PER_MINUTE, 60),
+    daily: {
+        chatTurns: limitFromEnv(process.env.QUOTA_CHAT_TURNS_PER_DAY, 200),
+        toolCalls: limitFromEnv(process.env.QUOTA_TOOL_CALLS_PER_DAY, 1000),
+        bookings: limitFromEnv(process.env.QUOTA_BOOKINGS_PER_DAY, 5)
     }
+});
 
-    try {
-        const response = await axios.post('https://test.api.amadeus.com/v1/security/oauth2/token', 
-            new URLSearchParams({
-                'grant_type': 'client_credentials',
-                'client_id': process.env.AMADEUS_CLIENT_ID,
-                'client_secret': process.env.AMADEUS_CLIENT_SECRET
-            }), {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
+const QUOTA_NAMES = { chatTurns: 'chat turns', toolCalls: 'tool calls', bookings: 'bookings' };
+
+// X-Quota-Remaining: chatTurns=41, toolCalls=380, bookings=5 (quotas that are off are left out)
+function setQuotaHeaders(res, userId) {
+    const quotas = usageLimits.quotas(userId);
+    const limited = QUOTAS.filter(quota => quotas[quota].limit !== null);
+    if (limited.length === 0 || res.headersSent) {
+        return;
+    }
+    res.set({
+        'X-Quota-Limit': limited.map(quota => `${quota}=${quotas[quota].limit}`).join(', '),
+        'X-Quota-Remaining': limited.map(quota => `${quota}=${quotas[quota].remaining}`).join(', '),
+        'X-Quota-Reset': quotas.resetAt
+    });
+}
+
+function sendLimitExceeded(res, limit, state, message) {
+    limitRefusals.inc({ limit });
+    res.set('Retry-After', String(Math.max(Math.ceil((Date.parse(state.resetAt) - Date.now()) / 1000), 1)));
+    res.status(429).json({ error: message, limit, resetAt: state.resetAt });
+}
+
+// Uses one unit of a daily quota for the user of the request; sends the 429 itself when none is left
+function consumeQuota(req, res, quota) {
+    const state = usageLimits.consume(req.user.id, quota);
+    if (!state.allowed) {
+        log.warn(`Daily ${quota} quota reached`, { quota, limit: state.limit });
+        sendLimitExceeded(res, quota, state, `You have used all ${state.limit} ${QUOTA_NAMES[quota]} allowed today. The limit resets at ${state.resetAt}.`);
+        return false;
+    }
+    setQuotaHeaders(res, req.user.id);
+    return true;
+}
+
+// With authentication on, users only see their own sessions, price watches, itineraries and tracked flights.
+// Records from before it was turned on have no owner.
+function isOwnedBy(record, userId) {
+    return !AUTH_REQUIRED || record.userId === userId;
+}
+
+// The userId lists are filtered by: the user's own records, or all of them when authentication is off
+function ownerFilter(user) {
+    return AUTH_REQUIRED ? user.id : undefined;
+}
+
+// Whether the optional sessionId of a request body names one of the user's sessions; sends the 404 itself
+async function checkSessionParam(req, res, sessionId) {
+    if (!sessionId) {
+        return true;
+    }
+    const session = await sessionStore.getSession(sessionId);
+    if (!session || !isOwnedBy(session, req.user.id)) {
+        res.status(404).json({ error: 'Session not found' });
+        return false;
+    }
+    return true;
+}
+
+// Body: { apiKey }. Sets the session cookie, and returns the token for clients that send it as a Bearer token.
+// Attempts are rate limited per client address, like the API requests of a user.
+app.post('/api/auth/login', (req, res) => {
+    if (!auth.enabled) {
+        return res.status(404).json({ error: 'Sign-in is not enabled on this server' });
+    }
+    const attempts = usageLimits.takeRequest(`address:${req.ip}`);
+    if (!attempts.allowed) {
+        return sendLimitExceeded(res, 'requests', attempts, 'Too many sign-in attempts. Please wait a minute.');
+    }
+
+    const userId = auth.userForApiKey(req.body && req.body.apiKey);
+    if (!userId) {
+        authFailures.inc({ reason: 'invalid' });
+        log.warn('Sign-in with an invalid API key');
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    const { token, expiresAt } = auth.issueToken(userId);
+    res.cookie(TOKEN_COOKIE, token, { httpOnly: true, sameSite: 'strict', secure: req.secure, expires: new Date(expiresAt), path: '/' });
+    setContext({ userId });
+    log.info(`User ${userId} signed in`);
+    res.json({ user: { id: userId }, token, expiresAt });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    res.clearCookie(TOKEN_COOKIE, { path: '/' });
+    res.status(204).end();
+});
+
+// Who is calling and whether they are within their per-minute limit
+app.use('/api', (req, res, next) => {
+    const user = AUTH_REQUIRED ? auth.authenticate(req) : LOCAL_USER;
+    if (!user) {
+        const sentCredentials = Boolean(req.get('X-API-Key') || req.get('Authorization') || (req.get('Cookie') || '').includes(`${TOKEN_COOKIE}=`));
+        authFailures.inc({ reason: sentCredentials ? 'invalid' : 'missing' });
+        res.set('WWW-Authenticate', 'Bearer realm="api"');
+        return res.status(401).json({
+            error: auth.enabled ? 'Authentication required. Sign in, or send an API key.' : 'Authentication is not configured on this server.'
         });
+    }
+    req.user = user;
+    setContext({ userId: user.id });
 
-        accessToken = response.data.access_token;
-        // Set expiry a bit before actual expiry to be safe (expires_in is in seconds)
-        tokenExpiry = currentTime + (response.data.expires_in * 1000) - 60000; 
-        return accessToken;
-    } catch (error) {
-        console.error('Error fetching access token:', error.response ? error.response.data : error.message);
-        throw new Error('Failed to authenticate with Amadeus API');
+    const rate = usageLimits.takeRequest(user.id);
+    if (rate.limit !== null) {
+        res.set({
+            'X-RateLimit-Limit': String(rate.limit),
+            'X-RateLimit-Remaining': String(rate.remaining),
+            'X-RateLimit-Reset': String(Math.ceil(Date.parse(rate.resetAt) / 1000))
+        });
+    }
+    if (!rate.allowed) {
+        return sendLimitExceeded(res, 'requests', rate, `Too many requests: the limit is ${rate.limit} a minute. Please wait a moment.`);
+    }
+    setQuotaHeaders(res, user.id);
+    next();
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: { id: req.user.id }, authRequired: AUTH_REQUIRED, quotas: usageLimits.quotas(req.user.id) });
+});
+
+// --- Amadeus Configuration ---
+// AMADEUS_ENV picks the test or production host; AMADEUS_BASE_URL overrides it entirely
+const amadeus = createAmadeusClient({
+    clientId: MOCK_AMADEUS ? 'mock-client-id' : process.env.AMADEUS_CLIENT_ID,
+    clientSecret: MOCK_AMADEUS ? 'mock-client-secret' : process.env.AMADEUS_CLIENT_SECRET,
+    environment: process.env.AMADEUS_ENV || 'test',
+    baseUrl: MOCK_AMADEUS ? `http://localhost:${MOCK_AMADEUS_PORT}` : process.env.AMADEUS_BASE_URL,
+    maxRetries: process.env.AMADEUS_MAX_RETRIES !== undefined ? parseInt(process.env.AMADEUS_MAX_RETRIES, 10) : 3,
+    onResponse: ({ method, status }) => amadeusResponses.inc({ method: method.toUpperCase(), status }),
+    onTokenRefresh: ({ success }) => amadeusTokenRefreshes.inc({ result: success ? 'success' : 'failure' })
+});
+
+// Turn an Amadeus error into a message the model can relay to the user
+function describeAmadeusError(error, fallback) {
+    if (!(error instanceof AmadeusError)) {
+        return fallback;
+    }
+
+    const title = (error.title || '').toUpperCase();
+
+    if (error.code === 37200 || title.includes('PRICE DISCREPANCY')) {
+        return `The fare has changed since it was confirmed (${error.detail || 'price discrepancy'}). Confirm the price again with confirmFlightPrice before booking.`;
+    }
+    if (title.includes('ISSUANCE NOT ALLOWED')) {
+        return 'Ticket issuance is not allowed in Amadeus Self-Service. The booking has to be ticketed through an airline consolidator, so it cannot be completed here.';
+    }
+    if (error.code === 34651 || title.includes('SEGMENT SELL FAILURE')) {
+        return 'The airline could not sell a seat on this flight (no inventory left). Please choose another flight offer.';
+    }
+    if (error.name === 'AmadeusRateLimitError') {
+        return `${fallback} Amadeus is rate limiting requests right now; try again in a moment.`;
+    }
+    if (error.name === 'AmadeusAuthenticationError') {
+        return `${fallback} The server could not authenticate with Amadeus.`;
+    }
+
+    return `${fallback} ${error.title || ''}${error.detail ? `: ${error.detail}` : ''}`.trim();
+}
+
+// Give a failed tool call an error the model can relay, keeping the Amadeus error type and details
+function toToolError(error, fallback) {
+    if (!(error instanceof AmadeusError)) {
+        return new Error(fallback);
+    }
+    error.message = describeAmadeusError(error, fallback);
+    return error;
+}
+
+// Build the query shared by the flight-destinations and flight-dates endpoints
+function buildFlightInspirationParams({ origin, destination, departureDate, oneWay, duration, nonStop, maxPrice, viewBy }) {
+    return {
+        origin,
+        destination: destination || undefined,
+        departureDate: departureDate || undefined,
+        oneWay: oneWay === undefined ? undefined : oneWay,
+        duration: duration || undefined,
+        nonStop: nonStop === undefined ? undefined : nonStop,
+        maxPrice: maxPrice || undefined,
+        viewBy: viewBy || undefined
+    };
+}
+
+// Build the GET flight-offers query from the searchFlights tool arguments
+function buildFlightSearchParams({ origin, destination, date, returnDate, adults, children, infants, travelClass, nonStop, includedAirlineCodes, excludedAirlineCodes, currencyCode, maxPrice, max }) {
+    return {
+        originLocationCode: origin,
+        destinationLocationCode: destination,
+        departureDate: date,
+        returnDate: returnDate || undefined,
+        adults: adults || 1,
+        children: children || undefined,
+        infants: infants || undefined,
+        travelClass: travelClass || undefined,
+        nonStop: nonStop ? true : undefined,
+        includedAirlineCodes: includedAirlineCodes || undefined,
+        excludedAirlineCodes: excludedAirlineCodes || undefined,
+        currencyCode: currencyCode || undefined,
+        maxPrice: maxPrice || undefined,
+        max: max || 5
+    };
+}
+
+// Build the flight-delay prediction query for one segment of a flight offer
+function buildDelayPredictionParams(segment) {
+    const [departureDate, departureTime] = segment.departure.at.split('T');
+    const [arrivalDate, arrivalTime] = segment.arrival.at.split('T');
+    return {
+        originLocationCode: segment.departure.iataCode,
+        destinationLocationCode: segment.arrival.iataCode,
+        departureDate,
+        departureTime: departureTime.length === 5 ? `${departureTime}:00` : departureTime,
+        arrivalDate,
+        arrivalTime: arrivalTime.length === 5 ? `${arrivalTime}:00` : arrivalTime,
+        aircraftCode: segment.aircraft.code,
+        carrierCode: segment.carrierCode,
+        flightNumber: segment.number,
+        duration: segment.duration
+    };
+}
+
+// Build the POST flight-offers body used for multi-city searches
+function buildMultiCitySearchBody({ legs, adults, children, infants, travelClass, nonStop, includedAirlineCodes, excludedAirlineCodes, currencyCode, maxPrice, max }) {
+    const originDestinations = legs.map((leg, index) => ({
+        id: String(index + 1),
+        originLocationCode: leg.origin,
+        destinationLocationCode: leg.destination,
+        departureDateTimeRange: { date: leg.date }
+    }));
+
+    const travelers = [];
+    const adultCount = adults || 1;
+    for (let i = 0; i < adultCount; i++) {
+        travelers.push({ id: String(travelers.length + 1), travelerType: 'ADULT' });
+    }
+    for (let i = 0; i < (children || 0); i++) {
+        travelers.push({ id: String(travelers.length + 1), travelerType: 'CHILD' });
+    }
+    for (let i = 0; i < (infants || 0); i++) {
+        // Each infant travels on the lap of a different adult
+        travelers.push({ id: String(travelers.length + 1), travelerType: 'HELD_INFANT', associatedAdultId: String(i + 1) });
+    }
+
+    const flightFilters = {};
+    if (travelClass) {
+        flightFilters.cabinRestrictions = [{
+            cabin: travelClass,
+            coverage: 'MOST_SEGMENTS',
+            originDestinationIds: originDestinations.map(od => od.id)
+        }];
+    }
+    if (includedAirlineCodes) {
+        flightFilters.carrierRestrictions = { includedCarrierCodes: includedAirlineCodes.split(',').map(code => code.trim()) };
+    } else if (excludedAirlineCodes) {
+        flightFilters.carrierRestrictions = { excludedCarrierCodes: excludedAirlineCodes.split(',').map(code => code.trim()) };
+    }
+    if (nonStop) {
+        flightFilters.connectionRestriction = { maxNumberOfConnections: 0 };
+    }
+
+    return {
+        currencyCode: currencyCode || undefined,
+        originDestinations,
+        travelers,
+        sources: ['GDS'],
+        searchCriteria: {
+            maxFlightOffers: max || 5,
+            maxPrice: maxPrice || undefined,
+            flightFilters
+        }
+    };
+}
+
+// Flight offers from the searches of each chat session, so the model can refer to an offer by id
+// instead of sending the full offer back. Amadeus numbers the offers of every response "1", "2", ...,
+// so each offer is given a key of its own ("<search>-<offer id>", e.g. "a3f9c2-1"): the model and the
+// cards only see that key, and it only resolves in the session whose search found the offer.
+// An entry also keeps the offer's confirmed price, its seat maps and extra bag options, and the
+// travelers' choices of seats and bags, which are added to the offer whenever it is priced.
+const FLIGHT_OFFER_TTL_MS = 60 * 60 * 1000;
+const FLIGHT_OFFER_CACHE_SIZE = 500;
+const flightOffers = new Map();
+
+// Caches the offers of a search response for the session; returns the response with the offers' keys as their ids
+function cacheFlightOffers(response, sessionId) {
+    const searchKey = crypto.randomBytes(3).toString('hex');
+    const data = (response.data || []).map(offer => {
+        const offerKey = `${searchKey}-${offer.id}`;
+        // pricedOffer, seatMaps, bagOptions and selection are added as the user gets to them
+        flightOffers.set(offerKey, { offer, sessionId: sessionId || null, cachedAt: Date.now() });
+        return { ...offer, id: offerKey };
+    });
+    // Oldest searches go first
+    while (flightOffers.size > FLIGHT_OFFER_CACHE_SIZE) {
+        flightOffers.delete(flightOffers.keys().next().value);
+    }
+    return { ...response, data };
+}
+
+// The cache entry of an offer key, when it is still fresh and was found in this session's searches
+function findFlightOffer(offerKey, sessionId) {
+    const entry = flightOffers.get(offerKey);
+    if (entry && Date.now() - entry.cachedAt > FLIGHT_OFFER_TTL_MS) {
+        flightOffers.delete(offerKey);
+        return null;
     }
+    return entry && entry.sessionId === (sessionId || null) ? entry : null;
 }
 
-// Search Endpoint (Inspiration Search)
+// The offer as the model and the cards know it: confirmed price if there is one, under its key
+function keyedFlightOffer(entry, offerKey) {
+    return { ...(entry.pricedOffer || entry.offer), id: offerKey };
+}
+
+// Hotel offers from the latest getHotelOffers calls, keyed by offer id, for booking summaries
+const hotelOfferCache = new Map();
+// Activities from the latest searchActivities calls, keyed by activity id, for the itinerary
+const activityCache = new Map();
+
+// Search Endpoint (Inspiration Search, or Cheapest Date Search when a destination is given)
 app.get('/api/search', async (req, res) => {
-    const { origin, maxPrice } = req.query;
+    const { origin, destination, departureDate, oneWay, duration, nonStop, maxPrice, viewBy } = req.query;
 
     if (!origin) {
         return res.status(400).json({ error: 'Origin is required' });
     }
 
+    const endpoint = destination ? 'flight-dates' : 'flight-destinations';
+    if (!consumeQuota(req, res, 'toolCalls')) {
+        return;
+    }
+
     try {
-        const token = await getAccessToken();
-        
-        const response = await axios.get('https://test.api.amadeus.com/v1/shopping/flight-destinations', {
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
-            params: {
-                origin: origin,
-                maxPrice: maxPrice || undefined
-            }
-        });
+        const response = await amadeus.get(`/v1/shopping/${endpoint}`,
+            buildFlightInspirationParams({ origin, destination, departureDate, oneWay, duration, nonStop, maxPrice, viewBy }));
 
-        res.json(response.data);
+        res.json(response);
     } catch (error) {
-        console.error('API Request Error:', error.response ? error.response.data : error.message);
-        res.status(500).json({ error: 'Failed to fetch flight destinations', details: error.response ? error.response.data : error.message });
+        log.error('API Request Error', { error });
+        res.status(error.status === 400 ? 400 : 500).json({ error: destination ? 'Failed to fetch flight dates' : 'Failed to fetch flight destinations', details: error.toJSON ? error.toJSON() : error.message });
     }
 });
 
 // Tool Implementations
 const functions = {
-    searchFlights: async ({ origin, destination, date }) => {
-        console.log(`Executing searchFlights: ${origin} -> ${destination} on ${date}`);
+    searchLocations: async ({ keyword, subType, countryCode }) => {
+        log.info(`Executing searchLocations for "${keyword}"`);
         try {
-            const token = await getAccessToken();
-            const response = await axios.get('https://test.api.amadeus.com/v2/shopping/flight-offers', {
-                headers: {
-                    'Authorization': `Bearer ${token}`
-                },
-                params: {
-                    originLocationCode: origin,
-                    destinationLocationCode: destination,
-                    departureDate: date,
-                    adults: 1,
-                    max: 5
-                }
+            const response = await amadeus.get('/v1/reference-data/locations', {
+                keyword,
+                subType: subType || 'CITY,AIRPORT',
+                countryCode: countryCode || undefined,
+                'page[limit]': 10,
+                sort: 'analytics.travelers.score',
+                view: 'FULL'
             });
+
+            // Keep only what the model needs to pick codes and coordinates
+            const locations = (response.data || []).map(location => ({
+                subType: location.subType,
+                name: location.name,
+                iataCode: location.iataCode,
+                cityName: location.address ? location.address.cityName : undefined,
+                cityCode: location.address ? location.address.cityCode : undefined,
+                countryCode: location.address ? location.address.countryCode : undefined,
+                geoCode: location.geoCode
+            }));
+
+            // Airports of one city are interchangeable for searching; different cities are not
+            const cities = new Set(locations.map(location => `${location.cityCode}/${location.countryCode}`));
+            const result = { locations, ambiguous: cities.size > 1 };
+            if (locations.length === 0) {
+                result.message = `No airport or city matches "${keyword}".`;
+            } else if (result.ambiguous) {
+                result.message = `"${keyword}" matches ${cities.size} different places. Ask the user which one they mean.`;
+            }
+            return result;
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Locations', error });
+            throw toToolError(error, 'Failed to look up locations.');
+        }
+    },
+
+    searchFlights: async (args, { sessionId } = {}) => {
+        const { origin, destination, date, returnDate } = args;
+        log.info(`Executing searchFlights: ${origin} -> ${destination} on ${date}${returnDate ? `, returning ${returnDate}` : ''}`);
+        try {
+            const response = await amadeus.get('/v2/shopping/flight-offers', buildFlightSearchParams(args));
             
-            console.log('Amadeus API Response (Flights):', JSON.stringify(response.data, null, 2));
-            return response.data;
+            log.debug('Amadeus response', { operation: 'Flights', response });
+            return cacheFlightOffers(response, sessionId);
         } catch (error) {
-            console.error('Amadeus API Error (Flights):', error.response ? error.response.data : error.message);
-            throw new Error('Failed to fetch flights from Amadeus.');
+            log.error('Amadeus request failed', { operation: 'Flights', error });
+            throw toToolError(error, 'Failed to fetch flights from Amadeus.');
         }
     },
 
-    searchHotelsByCity: async ({ cityCode }) => {
-        console.log(`Executing searchHotelsByCity: ${cityCode}`);
+    searchMultiCityFlights: async (args, { sessionId } = {}) => {
+        const { legs } = args;
+        if (!legs || legs.length < 2 || legs.length > 6) {
+            throw new Error('A multi-city search needs between 2 and 6 legs.');
+        }
+
+        log.info(`Executing searchMultiCityFlights: ${legs.map(leg => `${leg.origin} -> ${leg.destination} on ${leg.date}`).join(', ')}`);
         try {
-            const token = await getAccessToken();
-            const response = await axios.get('https://test.api.amadeus.com/v1/reference-data/locations/hotels/by-city', {
-                headers: { 'Authorization': `Bearer ${token}` },
-                params: { cityCode: cityCode }
+            const response = await amadeus.post('/v2/shopping/flight-offers', buildMultiCitySearchBody(args), {
+                headers: { 'X-HTTP-Method-Override': 'GET' }
             });
-            console.log(`Found ${response.data.data.length} hotels.`);
-            return response.data;
+
+            log.debug('Amadeus response', { operation: 'Multi-City Flights', response });
+            return cacheFlightOffers(response, sessionId);
         } catch (error) {
-            console.error('Amadeus API Error (Hotels):', error.response ? error.response.data : error.message);
-            throw new Error('Failed to search hotels.');
+            log.error('Amadeus request failed', { operation: 'Multi-City Flights', error });
+            throw toToolError(error, 'Failed to fetch multi-city flights from Amadeus.');
         }
     },
 
-    getHotelOffers: async ({ hotelIds, adults, checkInDate, checkOutDate }) => {
-        console.log(`Executing getHotelOffers for ${hotelIds} on ${checkInDate}`);
+    searchFlightDestinations: async (args) => {
+        log.info(`Executing searchFlightDestinations from ${args.origin}`);
+        try {
+            return await amadeus.get('/v1/shopping/flight-destinations', buildFlightInspirationParams({ ...args, destination: undefined }));
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Flight Destinations', error });
+            throw toToolError(error, 'Failed to fetch flight destinations.');
+        }
+    },
+
+    searchCheapestDates: async (args) => {
+        log.info(`Executing searchCheapestDates: ${args.origin} -> ${args.destination}`);
+        try {
+            return await amadeus.get('/v1/shopping/flight-dates', buildFlightInspirationParams(args));
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Flight Dates', error });
+            throw toToolError(error, 'Failed to fetch the cheapest flight dates.');
+        }
+    },
+
+    confirmFlightPrice: async ({ offerId }, { sessionId } = {}) => {
+        log.info(`Executing confirmFlightPrice for offer ${offerId}`);
+        const entry = findFlightOffer(offerId, sessionId);
+        if (!entry) {
+            throw new Error(`Flight offer ${offerId} was not found. Search for flights again and use an id from the results.`);
+        }
+
+        try {
+            const { offer, selection } = entry;
+            const response = await amadeus.post('/v1/shopping/flight-offers/pricing', {
+                data: {
+                    type: 'flight-offers-pricing',
+                    flightOffers: [applyAncillaries(offer, selection)]
+                }
+            }, {
+                headers: { 'X-HTTP-Method-Override': 'GET' }
+            });
+
+            log.debug('Amadeus response', { operation: 'Flight Price', response });
+            entry.pricedOffer = response.data.flightOffers[0];
+            const priced = { ...response, data: { ...response.data, flightOffers: [keyedFlightOffer(entry, offerId)] } };
+            return selection ? { ...priced, ancillaries: describeAncillaries(offer, selection) } : priced;
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Flight Price', error });
+            throw toToolError(error, 'Failed to confirm the flight price.');
+        }
+    },
+
+    getSeatMap: async ({ offerId }, { sessionId } = {}) => {
+        log.info(`Executing getSeatMap for offer ${offerId}`);
+        const entry = findFlightOffer(offerId, sessionId);
+        if (!entry) {
+            throw new Error(`Flight offer ${offerId} was not found. Search for flights again and use an id from the results.`);
+        }
+
         try {
-            const token = await getAccessToken();
-            const response = await axios.get('https://test.api.amadeus.com/v3/shopping/hotel-offers', {
-                headers: { 'Authorization': `Bearer ${token}` },
-                params: {
-                    hotelIds,
-                    adults: adults || 1,
-                    checkInDate,
-                    checkOutDate
+            const response = await amadeus.post('/v1/shopping/seatmaps', { data: [entry.offer] });
+            // The seat map in the chat posts its choice back under the offer's key
+            entry.seatMaps = (response.data || []).map(seatmap => ({ ...summarizeSeatMap(seatmap), offerId }));
+            return { data: entry.seatMaps };
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Seat Map', error });
+            throw toToolError(error, 'Failed to fetch the seat map.');
+        }
+    },
+
+    getBaggageOptions: async ({ offerId }, { sessionId } = {}) => {
+        log.info(`Executing getBaggageOptions for offer ${offerId}`);
+        const entry = findFlightOffer(offerId, sessionId);
+        if (!entry) {
+            throw new Error(`Flight offer ${offerId} was not found. Search for flights again and use an id from the results.`);
+        }
+
+        try {
+            // The bag catalog comes with the price of the offer as it was found
+            const response = await amadeus.post('/v1/shopping/flight-offers/pricing', {
+                data: {
+                    type: 'flight-offers-pricing',
+                    flightOffers: [entry.offer]
+                }
+            }, {
+                params: { include: 'bags' },
+                headers: { 'X-HTTP-Method-Override': 'GET' }
+            });
+
+            const options = summarizeBagOptions(response.included && response.included.bags);
+            entry.bagOptions = options;
+            if (options.length === 0) {
+                return { data: [], message: 'The airline does not sell extra bags for this offer.' };
+            }
+            return { data: options };
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Baggage', error });
+            throw toToolError(error, 'Failed to fetch the baggage options.');
+        }
+    },
+
+    selectAncillaries: async ({ offerId, seats = [], bags = [] }, { sessionId } = {}) => {
+        log.info(`Executing selectAncillaries for offer ${offerId}`);
+        const error = checkAncillaryChoices(offerId, seats, bags, sessionId);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const entry = findFlightOffer(offerId, sessionId);
+        const previous = entry.selection;
+        entry.selection = mergeAncillaries(previous, { seats, bags });
+        try {
+            return await functions.confirmFlightPrice({ offerId }, { sessionId });
+        } catch (pricingError) {
+            // Keep the last choices that could be priced
+            entry.selection = previous;
+            throw pricingError;
+        }
+    },
+
+    createFlightOrder: async ({ offerId, travelers }, { sessionId } = {}) => {
+        log.info(`Executing createFlightOrder for offer ${offerId}`);
+        const entry = findFlightOffer(offerId, sessionId);
+        const pricedOffer = entry && entry.pricedOffer;
+        if (!pricedOffer) {
+            throw new Error(`The price of flight offer ${offerId} has not been confirmed. Call confirmFlightPrice first.`);
+        }
+        if (!travelers || travelers.length !== pricedOffer.travelerPricings.length) {
+            throw new Error(`This offer is priced for ${pricedOffer.travelerPricings.length} traveler(s); provide details for each of them.`);
+        }
+
+        try {
+            const orderPayload = {
+                data: {
+                    type: 'flight-order',
+                    flightOffers: [pricedOffer],
+                    travelers: travelers.map((traveler, index) => ({
+                        id: pricedOffer.travelerPricings[index].travelerId,
+                        dateOfBirth: traveler.dateOfBirth,
+                        name: {
+                            firstName: traveler.firstName.toUpperCase(),
+                            lastName: traveler.lastName.toUpperCase()
+                        },
+                        gender: traveler.gender.toUpperCase(),
+                        contact: {
+                            emailAddress: traveler.email,
+                            phones: [{
+                                deviceType: 'MOBILE',
+                                countryCallingCode: traveler.phoneCountryCode.replace('+', ''),
+                                number: traveler.phoneNumber
+                            }]
+                        }
+                    }))
                 }
+            };
+
+            const response = await amadeus.post('/v1/booking/flight-orders', orderPayload);
+
+            log.debug('Amadeus response', { operation: 'Flight Order', response });
+            flightOffers.delete(offerId);
+            return response;
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Flight Order', error });
+            throw toToolError(error, 'Failed to book the flight.');
+        }
+    },
+
+    getFlightOrder: async ({ orderId }) => {
+        log.info(`Executing getFlightOrder for ${orderId}`);
+        try {
+            return await amadeus.get(`/v1/booking/flight-orders/${encodeURIComponent(orderId)}`);
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Flight Order Retrieval', error });
+            throw toToolError(error, 'Failed to retrieve the flight order.');
+        }
+    },
+
+    cancelFlightOrder: async ({ orderId }) => {
+        log.info(`Executing cancelFlightOrder for ${orderId}`);
+        try {
+            await amadeus.delete(`/v1/booking/flight-orders/${encodeURIComponent(orderId)}`);
+            return { orderId, status: 'CANCELLED' };
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Flight Order Cancellation', error });
+            throw toToolError(error, 'Failed to cancel the flight order.');
+        }
+    },
+
+    searchHotelsByCity: async ({ cityCode, radius, amenities, ratings, chainCodes, ...results }) => {
+        log.info(`Executing searchHotelsByCity: ${cityCode}`);
+        return searchHotelList('by-city', { cityCode, radius, radiusUnit: radius ? 'KM' : undefined, amenities, ratings, chainCodes }, results);
+    },
+
+    searchHotelsByGeocode: async ({ latitude, longitude, radius, amenities, ratings, chainCodes, ...results }) => {
+        log.info(`Executing searchHotelsByGeocode at ${latitude}, ${longitude}`);
+        return searchHotelList('by-geocode', { latitude, longitude, radius: radius || 5, radiusUnit: 'KM', amenities, ratings, chainCodes }, results);
+    },
+
+    searchHotelsByIds: async ({ hotelIds, ...results }) => {
+        log.info(`Executing searchHotelsByIds for ${hotelIds}`);
+        return searchHotelList('by-hotels', { hotelIds }, results);
+    },
+
+    getHotelOffers: async ({ hotelIds, adults, checkInDate, checkOutDate }) => {
+        log.info(`Executing getHotelOffers for ${hotelIds} on ${checkInDate}`);
+        try {
+            const response = await amadeus.get('/v3/shopping/hotel-offers', {
+                hotelIds,
+                adults: adults || 1,
+                checkInDate,
+                checkOutDate
             });
-            console.log('Amadeus API Response (Offers):', JSON.stringify(response.data, null, 2));
-            return response.data;
+            log.debug('Amadeus response', { operation: 'Offers', response });
+            (response.data || []).forEach(hotelOffer => {
+                (hotelOffer.offers || []).forEach(offer => hotelOfferCache.set(offer.id, { hotel: hotelOffer.hotel, offer }));
+            });
+            return response;
         } catch (error) {
-            console.error('Amadeus API Error (Hotel Offers):', error.response ? error.response.data : error.message);
-            throw new Error('Failed to fetch hotel offers.');
+            log.error('Amadeus request failed', { operation: 'Hotel Offers', error });
+            throw toToolError(error, 'Failed to fetch hotel offers.');
         }
     },
 
-    bookHotel: async ({ offerId, guestName, guestEmail, guestPhone }) => {
-        console.log(`Executing bookHotel for offer ${offerId}`);
+    bookHotel: async ({ offerId, guestFirstName, guestLastName, guestTitle, guestEmail, guestPhone }) => {
+        log.info(`Executing bookHotel for offer ${offerId}`);
         try {
-            const token = await getAccessToken();
             // Constructing the booking payload with dummy payment info as required for sandbox
-            const [firstName, lastName] = guestName.split(' ');
-            
             const bookingPayload = {
                 data: {
                     offerId: offerId,
                     guests: [{
                         name: {
-                            title: "MR",
-                            firstName: firstName ? firstName.toUpperCase() : "GUEST",
-                            lastName: lastName ? lastName.toUpperCase() : "USER"
+                            ...(guestTitle ? { title: guestTitle } : {}),
+                            firstName: guestFirstName.toUpperCase(),
+                            lastName: guestLastName.toUpperCase()
                         },
                         contact: {
                             phone: guestPhone || "+33679278416",
@@ -379,148 +938,1537 @@ const functions = {
                 }
             };
 
-            const response = await axios.post('https://test.api.amadeus.com/v1/booking/hotel-bookings', bookingPayload, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
+            const response = await amadeus.post('/v1/booking/hotel-bookings', bookingPayload);
             
-            console.log('Amadeus API Response (Booking):', JSON.stringify(response.data, null, 2));
-            return response.data;
+            log.debug('Amadeus response', { operation: 'Booking', response });
+            return response;
         } catch (error) {
-            console.error('Amadeus API Error (Booking):', error.response ? error.response.data : error.message);
-            throw new Error('Failed to book hotel.');
+            log.error('Amadeus request failed', { operation: 'Booking', error });
+            throw toToolError(error, 'Failed to book hotel.');
         }
     },
 
     getHotelSentiments: async ({ hotelIds }) => {
-        console.log(`Executing getHotelSentiments for ${hotelIds}`);
+        log.info(`Executing getHotelSentiments for ${hotelIds}`);
         try {
-            const token = await getAccessToken();
-            const response = await axios.get('https://test.api.amadeus.com/v2/e-reputation/hotel-sentiments', {
-                headers: { 'Authorization': `Bearer ${token}` },
-                params: { hotelIds }
-            });
-            return response.data;
+            return await amadeus.get('/v2/e-reputation/hotel-sentiments', { hotelIds });
         } catch (error) {
-             console.error('Amadeus API Error (Sentiments):', error.response ? error.response.data : error.message);
+             log.error('Amadeus request failed', { operation: 'Sentiments', error });
              // Sentiments might not be available for all test hotels
              return { message: "Sentiments not available for this hotel in test environment." };
         }
     },
 
     searchActivities: async ({ latitude, longitude }) => {
-        console.log(`Executing searchActivities at ${latitude}, ${longitude}`);
+        log.info(`Executing searchActivities at ${latitude}, ${longitude}`);
         try {
-            const token = await getAccessToken();
-            const response = await axios.get('https://test.api.amadeus.com/v1/shopping/activities', {
-                headers: { 'Authorization': `Bearer ${token}` },
-                params: { latitude, longitude, radius: 1 }
-            });
-            return response.data;
+            const response = await amadeus.get('/v1/shopping/activities', { latitude, longitude, radius: 1 });
+            (response.data || []).forEach(activity => activityCache.set(activity.id, activity));
+            return response;
         } catch (error) {
-            console.error('Amadeus API Error (Activities):', error.response ? error.response.data : error.message);
-            throw new Error('Failed to fetch activities.');
+            log.error('Amadeus request failed', { operation: 'Activities', error });
+            throw toToolError(error, 'Failed to fetch activities.');
         }
-    }
-};
+    },
 
-// Chat Endpoint using Gemini with Tools
-app.post('/api/chat', async (req, res) => {
-    const { message, history } = req.body;
+    watchFlightPrice: async (args, { sessionId, userId } = {}) => {
+        log.info(`Executing watchFlightPrice: ${args.origin} -> ${args.destination} on ${args.date}`);
+        return { data: [describeWatch(await startPriceWatch('flight', args, sessionId, userId))] };
+    },
 
-    if (!message) {
-        return res.status(400).json({ error: 'Message is required' });
+    watchHotelPrice: async (args, { sessionId, userId } = {}) => {
+        log.info(`Executing watchHotelPrice for ${args.hotelId} on ${args.checkInDate}`);
+        return { data: [describeWatch(await startPriceWatch('hotel', args, sessionId, userId))] };
+    },
+
+    getPriceWatches: async ({ watchId }, { sessionId, userId } = {}) => {
+        log.info(`Executing getPriceWatches${watchId ? ` for ${watchId}` : ''}`);
+        if (watchId) {
+            const watch = await watchStore.getWatch(watchId);
+            if (!watch || !isOwnedBy(watch, userId)) {
+                throw new Error(`No price watch found with id ${watchId}.`);
+            }
+            return { data: [describeWatch(watch)] };
+        }
+        const watches = await watchStore.listWatches({ sessionId });
+        return { data: watches.map(describeWatch) };
+    },
+
+    getFlightStatus: async ({ carrierCode, flightNumber, date }) => {
+        log.info(`Executing getFlightStatus for ${carrierCode}${flightNumber} on ${date}`);
+        const flightStatus = await fetchFlightStatus({ carrierCode, flightNumber, date });
+        if (!flightStatus) {
+            return { data: [], message: `No flight ${carrierCode}${flightNumber} is scheduled on ${date}. Check the airline code, flight number and date.` };
+        }
+        return { data: [flightStatus] };
+    },
+
+    predictFlightDelay: async ({ offerId }, { sessionId } = {}) => {
+        log.info(`Executing predictFlightDelay for offer ${offerId}`);
+        const entry = findFlightOffer(offerId, sessionId);
+        const offer = entry && keyedFlightOffer(entry, offerId);
+        if (!offer) {
+            throw new Error(`Flight offer ${offerId} is not in the recent search results. Search for flights again and use an offer ID from the new results.`);
+        }
+
+        // One prediction per flight, one after another to stay within the rate limits
+        const predictions = [];
+        for (const segment of offer.itineraries.flatMap(itinerary => itinerary.segments)) {
+            const flight = `${segment.carrierCode}${segment.number}`;
+            const summary = { flight, origin: segment.departure.iataCode, destination: segment.arrival.iataCode, departureAt: segment.departure.at };
+            try {
+                const response = await amadeus.get('/v1/travel/predictions/flight-delay', buildDelayPredictionParams(segment));
+                const probabilities = (response.data || []).map(prediction => ({ result: prediction.result, probability: Number(prediction.probability) }));
+                predictions.push({
+                    ...summary,
+                    probabilities,
+                    mostLikely: probabilities.reduce((best, prediction) => (!best || prediction.probability > best.probability ? prediction : best), null)
+                });
+            } catch (error) {
+                log.error('Amadeus request failed', { operation: 'Delay Prediction', error });
+                predictions.push({ ...summary, error: toToolError(error, `No delay prediction is available for ${flight}.`).message });
+            }
+        }
+        if (predictions.every(prediction => prediction.error)) {
+            throw new Error(predictions[0].error);
+        }
+        return { data: predictions };
+    },
+
+    trackFlight: async (args, { sessionId, userId } = {}) => {
+        log.info(`Executing trackFlight for ${args.carrierCode}${args.flightNumber} on ${args.date}`);
+        const tracked = await startFlightTracking(args, sessionId, userId);
+        if (!tracked) {
+            throw new Error(`No flight ${args.carrierCode}${args.flightNumber} is scheduled on ${args.date}, so it cannot be tracked. Check the airline code, flight number and date.`);
+        }
+        return { data: [describeTrackedFlight(tracked)] };
+    },
+
+    getTrackedFlights: async (args, { sessionId } = {}) => {
+        log.info('Executing getTrackedFlights');
+        const flights = await trackedFlightStore.listTrackedFlights({ sessionId });
+        return { data: flights.map(describeTrackedFlight) };
+    },
+
+    addToItinerary: async (args, { sessionId, userId } = {}) => {
+        log.info(`Executing addToItinerary: ${args.itemType} ${args.offerId || args.activityId}`);
+        const itinerary = (await findSessionItinerary(sessionId)) || await itineraryStore.createItinerary({ sessionId, userId });
+        const result = addItineraryItems(itinerary, args);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        return { data: [describeItinerary(await itineraryStore.saveItinerary(itinerary))] };
+    },
+
+    removeFromItinerary: async ({ itemId }, { sessionId } = {}) => {
+        log.info(`Executing removeFromItinerary for ${itemId}`);
+        const itinerary = await findSessionItinerary(sessionId);
+        if (!itinerary || !removeItineraryItem(itinerary, itemId)) {
+            throw new Error(`No itinerary item found with id ${itemId}.`);
+        }
+        return { data: [describeItinerary(await itineraryStore.saveItinerary(itinerary))] };
+    },
+
+    getItinerary: async (args, { sessionId } = {}) => {
+        log.info('Executing getItinerary');
+        const itinerary = await findSessionItinerary(sessionId);
+        if (!itinerary) {
+            return { data: [], message: 'The itinerary is empty. Nothing has been added to the trip yet.' };
+        }
+        return { data: [describeItinerary(itinerary)] };
     }
+};
 
-    if (!model) {
-        return res.status(503).json({ error: 'AI Model not initialized. Check server logs for API Key issues.' });
+// --- Hotel Search ---
+// Hotel List searches can return hundreds of hotels. The full result is kept here and the model gets
+// one page of short records, so asking for the next page or another ranking does not search again.
+
+const HOTEL_SEARCH_TTL_MS = 30 * 60 * 1000;
+const HOTEL_SEARCH_CACHE_SIZE = 50;
+// Ranking by guest rating looks up the reviews of at most this many hotels, in the search's own order
+const HOTEL_RATING_LIMIT = parseInt(process.env.HOTEL_RATING_LIMIT, 10) || 30;
+// Hotel Sentiments takes at most 3 hotel IDs per request
+const SENTIMENT_BATCH_SIZE = 3;
+// Hotels described in the result's message
+const HOTEL_SUMMARY_COUNT = 5;
+
+const hotelSearches = new Map();
+const hotelSentimentCache = new Map();
+
+// Sentiments of the hotels, from the cache or Amadeus; hotels without reviews are left out
+async function fetchHotelSentiments(hotelIds) {
+    const missing = hotelIds.filter(hotelId => !hotelSentimentCache.has(hotelId));
+    for (let i = 0; i < missing.length; i += SENTIMENT_BATCH_SIZE) {
+        const batch = missing.slice(i, i + SENTIMENT_BATCH_SIZE);
+        try {
+            const response = await amadeus.get('/v2/e-reputation/hotel-sentiments', { hotelIds: batch.join(',') });
+            const found = new Map((response.data || []).map(sentiment => [sentiment.hotelId, sentiment]));
+            batch.forEach(hotelId => hotelSentimentCache.set(hotelId, found.get(hotelId) || null));
+        } catch (error) {
+            // Unrated hotels stay unranked rather than failing the search
+            log.error('Amadeus request failed', { operation: 'Sentiments', error });
+        }
+    }
+    return hotelIds.map(hotelId => hotelSentimentCache.get(hotelId)).filter(Boolean);
+}
+
+// Runs a Hotel List search (by-city, by-geocode or by-hotels), or reuses the same search from the
+// last half hour, and returns the requested page
+async function searchHotelList(kind, params, { sortBy, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const query = Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+    const searchId = crypto.createHash('sha1').update(JSON.stringify({ kind, query })).digest('hex').slice(0, 12);
+
+    let search = hotelSearches.get(searchId);
+    if (!search || Date.now() - search.createdAt > HOTEL_SEARCH_TTL_MS) {
+        try {
+            const response = await amadeus.get(`/v1/reference-data/locations/hotels/${kind}`, query);
+            log.info(`Found ${(response.data || []).length} hotels.`);
+            search = { id: searchId, hotels: (response.data || []).map(summarizeHotel), createdAt: Date.now() };
+        } catch (error) {
+            log.error('Amadeus request failed', { operation: 'Hotels', error });
+            throw toToolError(error, 'Failed to search hotels.');
+        }
+        hotelSearches.delete(searchId);
+        hotelSearches.set(searchId, search);
+        if (hotelSearches.size > HOTEL_SEARCH_CACHE_SIZE) {
+            hotelSearches.delete(hotelSearches.keys().next().value);
+        }
+    }
+
+    if (sortBy === 'rating') {
+        await rateHotelSearch(search);
+    }
+    return hotelSearchPage(search, { sortBy, page, pageSize });
+}
+
+// Adds the guest ratings to the hotels of a search, once
+async function rateHotelSearch(search) {
+    if (!search.rated) {
+        const sentiments = await fetchHotelSentiments(search.hotels.slice(0, HOTEL_RATING_LIMIT).map(hotel => hotel.hotelId));
+        search.hotels = mergeSentiments(search.hotels, sentiments);
+        search.rated = true;
+    }
+}
+
+function hotelSearchPage(search, { sortBy, page, pageSize }) {
+    if (search.hotels.length === 0) {
+        return { data: [], message: 'No hotels match this search. Try a larger radius or fewer filters.' };
+    }
+
+    const result = paginate(rankHotels(search.hotels, sortBy), page, pageSize);
+    const first = (result.page - 1) * result.pageSize;
+    const ranking = sortBy ? ` ranked by ${sortBy === 'rating' ? 'guest rating' : sortBy}` : '';
+    const top = result.items.slice(0, HOTEL_SUMMARY_COUNT).map((hotel, index) => `${first + index + 1}. ${describeHotel(hotel)}`);
+    return {
+        data: result.items,
+        meta: { searchId: search.id, total: result.total, page: result.page, pages: result.pages, pageSize: result.pageSize, sortBy: sortBy || null },
+        message: [
+            `${result.total} hotels found${ranking}; showing ${first + 1}-${first + result.items.length}.`,
+            ...top,
+            ...(result.page < result.pages ? [`Repeat the search with page ${result.page + 1} for more.`] : [])
+        ].join('\n')
+    };
+}
+
+// More pages of a search for the hotel cards ("Show more"). Query: page, pageSize, sortBy
+app.get('/api/hotel-searches/:searchId', async (req, res) => {
+    const search = hotelSearches.get(req.params.searchId);
+    if (!search) {
+        return res.status(404).json({ error: 'Hotel search not found. It may have expired; search again.' });
+    }
+    const page = parseInt(req.query.page, 10) || 1;
+    const pageSize = Math.min(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 20);
+    const sortBy = ['rating', 'stars', 'distance'].includes(req.query.sortBy) ? req.query.sortBy : undefined;
+    // Only the first ranking by rating looks up the reviews
+    if (sortBy === 'rating' && !search.rated) {
+        if (!consumeQuota(req, res, 'toolCalls')) {
+            return;
+        }
+        await rateHotelSearch(search);
+    }
+    res.json(hotelSearchPage(search, { sortBy, page: Math.max(page, 1), pageSize }));
+});
+
+// --- Seats and Bags ---
+
+// Why the seats and bags cannot be chosen for the offer of this session, or null when they can
+function checkAncillaryChoices(offerId, seats, bags, sessionId) {
+    const entry = findFlightOffer(offerId, sessionId);
+    if (!entry) {
+        return `Flight offer ${offerId} was not found. Search for flights again and use an id from the results.`;
+    }
+    const travelerIds = entry.offer.travelerPricings.map(traveler => traveler.travelerId);
+
+    if (seats.length > 0 && !entry.seatMaps) {
+        return `Call getSeatMap for offer ${offerId} before choosing seats.`;
+    }
+    for (const choice of seats) {
+        const seatMap = entry.seatMaps.find(map => map.segmentId === choice.segmentId);
+        const seat = seatMap && seatMap.decks.flatMap(deck => deck.seats).find(candidate => candidate.number === choice.seatNumber);
+        if (!seatMap) {
+            return `Offer ${offerId} has no flight with segmentId ${choice.segmentId}.`;
+        }
+        if (!travelerIds.includes(choice.travelerId)) {
+            return `Offer ${offerId} has no traveler ${choice.travelerId}.`;
+        }
+        if (!seat) {
+            return `There is no seat ${choice.seatNumber} on ${seatMap.flight}.`;
+        }
+        if (seat.availability[choice.travelerId] !== 'AVAILABLE') {
+            return `Seat ${choice.seatNumber} on ${seatMap.flight} is not available (${(seat.availability[choice.travelerId] || 'BLOCKED').toLowerCase()}).`;
+        }
+    }
+
+    if (bags.length > 0 && !entry.bagOptions) {
+        return `Call getBaggageOptions for offer ${offerId} before adding bags.`;
+    }
+    for (const choice of bags) {
+        const options = entry.bagOptions.filter(option => option.travelerIds.includes(choice.travelerId));
+        if (!options.some(option => option.quantity === choice.quantity)) {
+            return options.length > 0
+                ? `Traveler ${choice.travelerId} can add ${options.map(option => option.quantity).join(' or ')} extra bag(s), not ${choice.quantity}.`
+                : `Traveler ${choice.travelerId} cannot add extra bags to offer ${offerId}.`;
+        }
+    }
+    return null;
+}
+
+// The seat map in the chat posts the seat the user picked here; the offer is re-priced with it.
+// Body: { seats, bags, sessionId? } as for selectAncillaries
+app.post('/api/flight-offers/:offerId/ancillaries', async (req, res) => {
+    const { sessionId, ...choices } = req.body || {};
+    const validation = toolValidator.validate('selectAncillaries', { ...choices, offerId: req.params.offerId });
+    if (validation.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid choice', validationErrors: validation.errors });
     }
 
     try {
-        // Convert frontend history to Gemini format
-        // Frontend sends: [{ role: 'user'|'model', content: '...' }]
-        const chatHistory = (history || []).map(msg => ({
-            role: msg.role,
-            parts: [{ text: msg.content }]
-        }));
+        if (!await checkSessionParam(req, res, sessionId)) {
+            return;
+        }
+        const { offerId, seats = [], bags = [] } = validation.args;
+        const problem = checkAncillaryChoices(offerId, seats, bags, sessionId);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+        if (!consumeQuota(req, res, 'toolCalls')) {
+            return;
+        }
+
+        const response = await functions.selectAncillaries(validation.args, { sessionId });
+        const [offer] = response.data.flightOffers;
+        const total = `${offer.price.grandTotal || offer.price.total} ${offer.price.currency}`;
+
+        if (sessionId) {
+            await appendSessionEvent(sessionId, `Selected ${response.ancillaries}. The new total is ${total}.`,
+                `The user selected ${response.ancillaries} for flight offer ${validation.args.offerId} on the seat map; the offer was re-priced at ${total}.`)
+                .catch(error => log.error('Failed to record ancillary choice', { error }));
+        }
+        res.json({ offer, ancillaries: response.ancillaries });
+    } catch (error) {
+        log.error('Ancillary selection error', { error });
+        res.status(error instanceof AmadeusError ? 502 : 500).json({ error: error.message });
+    }
+});
+
+// --- Flight Tracking ---
+// Tracked flights are polled for status changes, which are sent to the notification hook
+// and added to the chat session the flight was tracked from
+const FLIGHT_TRACK_INTERVAL_MS = parseInt(process.env.FLIGHT_TRACK_INTERVAL_MS, 10) || 15 * 60 * 1000;
+
+// Status summary of a flight (lib/flight-status.js), or null when it is not in the schedule
+async function fetchFlightStatus({ carrierCode, flightNumber, date }) {
+    try {
+        const response = await amadeus.get('/v2/schedule/flights', { carrierCode, flightNumber, scheduledDepartureDate: date });
+        const [datedFlight] = response.data || [];
+        return datedFlight ? summarizeFlightStatus(datedFlight) : null;
+    } catch (error) {
+        log.error('Amadeus request failed', { operation: 'Flight Status', error });
+        throw toToolError(error, 'Failed to fetch the flight status.');
+    }
+}
+
+async function notifyFlightChanges(tracked, changes) {
+    const message = `${tracked.label}: ${changes.join('. ')}.`;
+    await sendNotification({
+        event: 'flight_status_change',
+        trackingId: tracked.id,
+        flight: tracked.label,
+        status: tracked.flightStatus.status,
+        changes,
+        checkedAt: new Date().toISOString(),
+        message
+    });
+
+    if (tracked.sessionId) {
+        const block = { type: 'flightStatus', data: [describeTrackedFlight(tracked)] };
+        await appendSessionEvent(tracked.sessionId, `🛫 ${message}`, `Flight status update for tracked flight ${message}`, [block])
+            .catch(error => log.error('Failed to record flight status change', { error }));
+    }
+}
+
+const flightTracker = createFlightTracker({
+    fetchStatus: fetchFlightStatus,
+    notify: notifyFlightChanges,
+    intervalMs: FLIGHT_TRACK_INTERVAL_MS
+});
+
+// Tracking starts from the current status; returns null when the flight is not in the schedule
+async function startFlightTracking({ carrierCode, flightNumber, date }, sessionId, userId) {
+    const flightStatus = await fetchFlightStatus({ carrierCode, flightNumber, date });
+    if (!flightStatus) {
+        return null;
+    }
+    return trackedFlightStore.createTrackedFlight({ carrierCode, flightNumber, date, flightStatus, sessionId, userId });
+}
+
+// Loads the tracked flight of a route if it is the user's, or answers 404; returns null when the response was sent
+async function loadTrackedFlight(req, res) {
+    const tracked = await trackedFlightStore.getTrackedFlight(req.params.id);
+    if (!tracked || !isOwnedBy(tracked, req.user.id)) {
+        res.status(404).json({ error: 'Tracked flight not found' });
+        return null;
+    }
+    return tracked;
+}
+
+// A tracked flight is shown as its status card with the tracking details attached
+function describeTrackedFlight(tracked) {
+    return {
+        ...tracked.flightStatus,
+        tracking: {
+            id: tracked.id,
+            status: tracked.status,
+            lastCheckedAt: tracked.lastCheckedAt,
+            lastError: tracked.lastError,
+            changes: tracked.changes
+        }
+    };
+}
+
+app.get('/api/tracked-flights', async (req, res) => {
+    try {
+        const flights = await trackedFlightStore.listTrackedFlights({ sessionId: req.query.sessionId, userId: ownerFilter(req.user) });
+        res.json(flights.map(describeTrackedFlight));
+    } catch (error) {
+        log.error('Tracked flight list error', { error });
+        res.status(500).json({ error: 'Failed to list tracked flights.' });
+    }
+});
+
+// Body: { carrierCode, flightNumber, date, sessionId? }
+app.post('/api/tracked-flights', async (req, res) => {
+    const { sessionId, ...args } = req.body || {};
+    const validation = toolValidator.validate('trackFlight', args);
+    if (validation.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid flight', validationErrors: validation.errors });
+    }
+
+    try {
+        if (!await checkSessionParam(req, res, sessionId) || !consumeQuota(req, res, 'toolCalls')) {
+            return;
+        }
+        const tracked = await startFlightTracking(validation.args, sessionId, req.user.id);
+        if (!tracked) {
+            return res.status(404).json({ error: 'Flight not found in the schedule' });
+        }
+        res.status(201).json(describeTrackedFlight(tracked));
+    } catch (error) {
+        log.error('Tracked flight create error', { error });
+        res.status(500).json({ error: 'Failed to track the flight.' });
+    }
+});
+
+app.get('/api/tracked-flights/:id', async (req, res) => {
+    try {
+        const tracked = await loadTrackedFlight(req, res);
+        if (tracked) {
+            res.json(describeTrackedFlight(tracked));
+        }
+    } catch (error) {
+        log.error('Tracked flight fetch error', { error });
+        res.status(500).json({ error: 'Failed to fetch tracked flight.' });
+    }
+});
+
+app.delete('/api/tracked-flights/:id', async (req, res) => {
+    try {
+        const tracked = await loadTrackedFlight(req, res);
+        if (tracked) {
+            await trackedFlightStore.deleteTrackedFlight(tracked.id);
+            res.status(204).end();
+        }
+    } catch (error) {
+        log.error('Tracked flight delete error', { error });
+        res.status(500).json({ error: 'Failed to stop tracking the flight.' });
+    }
+});
+
+// --- Itineraries ---
+// Each chat session collects its chosen flights, hotels and activities in one itinerary (lib/itinerary.js)
 
-        const chat = model.startChat({
-            history: chatHistory
+async function findSessionItinerary(sessionId) {
+    if (!sessionId) {
+        return null;
+    }
+    const [itinerary] = await itineraryStore.listItineraries({ sessionId });
+    return itinerary || null;
+}
+
+// Add the items for validated addToItinerary arguments, looked up in the results of the itinerary's chat's searches.
+// Returns { items } or { error } when the offer or activity is unknown or already planned.
+function addItineraryItems(itinerary, { itemType, offerId, activityId, date, time, bookingReference, note }) {
+    const options = { bookingReference, note };
+    const isPlanned = kind => itinerary.items.some(item => item.kind === kind && item.source.offerId === offerId);
+    let items;
+
+    if (itemType === 'flight') {
+        const entry = findFlightOffer(offerId, itinerary.sessionId);
+        if (!entry) {
+            return { error: `Flight offer ${offerId} is not in the recent search results. Search for flights again and use an offer ID from the new results.` };
+        }
+        if (isPlanned('flight')) {
+            return { error: `Flight offer ${offerId} is already in the itinerary.` };
+        }
+        items = flightItems(keyedFlightOffer(entry, offerId), options);
+    } else if (itemType === 'hotel') {
+        const cached = hotelOfferCache.get(offerId);
+        if (!cached) {
+            return { error: `Hotel offer ${offerId} is not in the recent search results. Call getHotelOffers again and use an offer ID from the new results.` };
+        }
+        if (isPlanned('hotel')) {
+            return { error: `Hotel offer ${offerId} is already in the itinerary.` };
+        }
+        items = [hotelItem(cached, options)];
+    } else {
+        const activity = activityCache.get(activityId);
+        if (!activity) {
+            return { error: `Activity ${activityId} is not in the recent search results. Call searchActivities again and use an activity ID from the new results.` };
+        }
+        items = [activityItem(activity, { date, time, ...options })];
+    }
+
+    itinerary.items.push(...items);
+    return { items };
+}
+
+// Removing one flight of a round trip removes the whole offer, since it is booked as one
+function removeItineraryItem(itinerary, itemId) {
+    const item = itinerary.items.find(candidate => candidate.id === itemId);
+    if (!item) {
+        return false;
+    }
+    itinerary.items = itinerary.items.filter(candidate => candidate.id !== itemId && (!item.groupId || candidate.groupId !== item.groupId));
+    return true;
+}
+
+// Loads the itinerary of a route if it is the user's, or answers 404; returns null when the response was sent
+async function loadItinerary(req, res) {
+    const itinerary = await itineraryStore.getItinerary(req.params.id);
+    if (!itinerary || !isOwnedBy(itinerary, req.user.id)) {
+        res.status(404).json({ error: 'Itinerary not found' });
+        return null;
+    }
+    return itinerary;
+}
+
+// File name for downloads, e.g. "paris-in-june"
+function itinerarySlug(itinerary) {
+    return itinerary.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'itinerary';
+}
+
+app.get('/api/itineraries', async (req, res) => {
+    try {
+        const itineraries = await itineraryStore.listItineraries({ sessionId: req.query.sessionId, userId: ownerFilter(req.user) });
+        res.json(itineraries.map(describeItinerary));
+    } catch (error) {
+        log.error('Itinerary list error', { error });
+        res.status(500).json({ error: 'Failed to list itineraries.' });
+    }
+});
+
+app.post('/api/itineraries', async (req, res) => {
+    const { title, sessionId } = req.body || {};
+    try {
+        if (!await checkSessionParam(req, res, sessionId)) {
+            return;
+        }
+        const itinerary = await itineraryStore.createItinerary({
+            title: typeof title === 'string' ? title.trim().slice(0, 100) : undefined,
+            sessionId,
+            userId: req.user.id
         });
+        res.status(201).json(describeItinerary(itinerary));
+    } catch (error) {
+        log.error('Itinerary create error', { error });
+        res.status(500).json({ error: 'Failed to create itinerary.' });
+    }
+});
 
-        const currentDate = new Date().toISOString().split('T')[0];
-        const userMessage = `[System: Current Date is ${currentDate}] ${message}`;
-
-        let result = await chat.sendMessage(userMessage);
-        let response = result.response;
-        let uiData = null;
-        let uiType = null;
-
-        // Handle Function Calls
-        while (response.functionCalls()) {
-            const calls = response.functionCalls();
-            const functionResponses = [];
-
-            for (const call of calls) {
-                const name = call.name;
-                const args = call.args;
-                
-                if (functions[name]) {
-                    try {
-                        const apiResult = await functions[name](args);
-                        
-                        // Capture data for UI rendering
-                        if (name === 'searchFlights') {
-                            uiData = apiResult.data;
-                            uiType = 'flights';
-                        } else if (name === 'searchActivities') {
-                            uiData = apiResult.data;
-                            uiType = 'activities';
-                        } else if (name === 'searchHotelsByCity') {
-                            uiData = apiResult.data;
-                            uiType = 'hotels';
-                        } else if (name === 'getHotelOffers') {
-                            uiData = apiResult.data;
-                            uiType = 'offers';
-                        }
+app.get('/api/itineraries/:id', async (req, res) => {
+    try {
+        const itinerary = await loadItinerary(req, res);
+        if (itinerary) {
+            res.json(describeItinerary(itinerary));
+        }
+    } catch (error) {
+        log.error('Itinerary fetch error', { error });
+        res.status(500).json({ error: 'Failed to fetch itinerary.' });
+    }
+});
+
+app.patch('/api/itineraries/:id', async (req, res) => {
+    const title = req.body && typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title) {
+        return res.status(400).json({ error: 'Title is required' });
+    }
+
+    try {
+        const itinerary = await loadItinerary(req, res);
+        if (itinerary) {
+            itinerary.title = title.slice(0, 100);
+            res.json(describeItinerary(await itineraryStore.saveItinerary(itinerary)));
+        }
+    } catch (error) {
+        log.error('Itinerary rename error', { error });
+        res.status(500).json({ error: 'Failed to rename itinerary.' });
+    }
+});
+
+app.delete('/api/itineraries/:id', async (req, res) => {
+    try {
+        const itinerary = await loadItinerary(req, res);
+        if (itinerary) {
+            await itineraryStore.deleteItinerary(itinerary.id);
+            res.status(204).end();
+        }
+    } catch (error) {
+        log.error('Itinerary delete error', { error });
+        res.status(500).json({ error: 'Failed to delete itinerary.' });
+    }
+});
+
+// Body: the arguments of addToItinerary
+app.post('/api/itineraries/:id/items', async (req, res) => {
+    const validation = toolValidator.validate('addToItinerary', req.body || {});
+    if (validation.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid itinerary item', validationErrors: validation.errors });
+    }
 
-                        functionResponses.push({
-                            functionResponse: {
-                                name: name,
-                                response: { name: name, content: apiResult }
-                            }
-                        });
-                    } catch (err) {
-                         functionResponses.push({
-                            functionResponse: {
-                                name: name,
-                                response: { name: name, content: { error: err.message } }
-                            }
-                        });
+    try {
+        const itinerary = await loadItinerary(req, res);
+        if (!itinerary) {
+            return;
+        }
+        const result = addItineraryItems(itinerary, validation.args);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        res.status(201).json(describeItinerary(await itineraryStore.saveItinerary(itinerary)));
+    } catch (error) {
+        log.error('Itinerary item error', { error });
+        res.status(500).json({ error: 'Failed to add the item to the itinerary.' });
+    }
+});
+
+app.delete('/api/itineraries/:id/items/:itemId', async (req, res) => {
+    try {
+        const itinerary = await loadItinerary(req, res);
+        if (!itinerary) {
+            return;
+        }
+        if (!removeItineraryItem(itinerary, req.params.itemId)) {
+            return res.status(404).json({ error: 'Itinerary item not found' });
+        }
+        res.json(describeItinerary(await itineraryStore.saveItinerary(itinerary)));
+    } catch (error) {
+        log.error('Itinerary item error', { error });
+        res.status(500).json({ error: 'Failed to remove the item from the itinerary.' });
+    }
+});
+
+app.get('/api/itineraries/:id/calendar.ics', async (req, res) => {
+    try {
+        const itinerary = await loadItinerary(req, res);
+        if (itinerary) {
+            res.type('text/calendar; charset=utf-8');
+            res.attachment(`${itinerarySlug(itinerary)}.ics`);
+            res.send(toICalendar(describeItinerary(itinerary)));
+        }
+    } catch (error) {
+        log.error('Itinerary export error', { error });
+        res.status(500).json({ error: 'Failed to export itinerary.' });
+    }
+});
+
+// Printable summary; the browser's print dialog saves it as PDF
+app.get('/api/itineraries/:id/print', async (req, res) => {
+    try {
+        const itinerary = await loadItinerary(req, res);
+        if (itinerary) {
+            res.type('html').send(toPrintableHtml(describeItinerary(itinerary)));
+        }
+    } catch (error) {
+        log.error('Itinerary export error', { error });
+        res.status(500).json({ error: 'Failed to export itinerary.' });
+    }
+});
+
+// --- Price Watches ---
+// A watch saves a flight or hotel query; the scheduler re-runs it and keeps the cheapest price of every check
+const WATCH_CHECK_INTERVAL_MS = parseInt(process.env.WATCH_CHECK_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000;
+
+function cheapest(candidates) {
+    return candidates
+        .filter(candidate => Number.isFinite(candidate.price))
+        .reduce((best, candidate) => (!best || candidate.price < best.price ? candidate : best), null);
+}
+
+// Cheapest offer for a watch's query, as { price, currency, offerId }, or null when there are none
+// Re-checks go to Amadeus directly: the offers are only priced here, so they stay out of
+// the caches that the users' own searches are priced and booked from
+async function checkWatchPrice(watch) {
+    if (watch.type === 'flight') {
+        const response = await amadeus.get('/v2/shopping/flight-offers', buildFlightSearchParams(watch.query));
+        return cheapest((response.data || []).map(offer => ({
+            price: Number(offer.price.grandTotal || offer.price.total),
+            currency: offer.price.currency,
+            offerId: offer.id
+        })));
+    }
+
+    const { hotelId, adults, checkInDate, checkOutDate } = watch.query;
+    const response = await amadeus.get('/v3/shopping/hotel-offers', { hotelIds: hotelId, adults: adults || 1, checkInDate, checkOutDate });
+    return cheapest((response.data || []).flatMap(hotelOffer => (hotelOffer.offers || []).map(offer => ({
+        price: Number(offer.price.total),
+        currency: offer.price.currency,
+        offerId: offer.id
+    }))));
+}
+
+const watchScheduler = createWatchScheduler({
+    checkPrice: checkWatchPrice,
+    notify: sendNotification,
+    intervalMs: WATCH_CHECK_INTERVAL_MS
+});
+
+function describeWatchQuery(type, query) {
+    if (type === 'flight') {
+        return `${query.origin}→${query.destination} on ${query.date}${query.returnDate ? `, returning ${query.returnDate}` : ''}`;
+    }
+    const cachedOffer = [...hotelOfferCache.values()].find(cached => cached.hotel.hotelId === query.hotelId);
+    const hotel = cachedOffer ? cachedOffer.hotel.name : query.hotelId;
+    return `${hotel}, ${query.checkInDate} to ${query.checkOutDate}`;
+}
+
+// Save a watch and run its first check right away so it starts with a baseline price
+async function startPriceWatch(type, args, sessionId, userId) {
+    const { targetPrice, dropPercent, ...query } = args;
+    const watch = await watchStore.createWatch({
+        type,
+        label: describeWatchQuery(type, query),
+        query,
+        targetPrice,
+        dropPercent,
+        sessionId,
+        userId
+    });
+    return (await watchScheduler.checkWatch(watch)) || watch;
+}
+
+// What the model and the frontend see of a watch: its settings, price summary and history
+function describeWatch(watch) {
+    const prices = watch.history.map(point => point.price);
+    const latest = watch.history[watch.history.length - 1];
+    return {
+        id: watch.id,
+        type: watch.type,
+        label: watch.label,
+        status: watch.status,
+        query: watch.query,
+        targetPrice: watch.targetPrice,
+        dropPercent: watch.dropPercent,
+        currency: latest ? latest.currency : null,
+        currentPrice: latest ? latest.price : null,
+        firstPrice: prices.length > 0 ? prices[0] : null,
+        lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+        highestPrice: prices.length > 0 ? Math.max(...prices) : null,
+        change: prices.length > 1 ? Number((prices[prices.length - 1] - prices[0]).toFixed(2)) : 0,
+        alerting: watch.alerting,
+        lastCheckedAt: watch.lastCheckedAt,
+        lastError: watch.lastError,
+        createdAt: watch.createdAt,
+        history: watch.history.map(point => ({ checkedAt: point.checkedAt, price: point.price }))
+    };
+}
+
+// Loads the watch of a route if it is the user's, or answers 404; returns null when the response was sent
+async function loadWatch(req, res) {
+    const watch = await watchStore.getWatch(req.params.id);
+    if (!watch || !isOwnedBy(watch, req.user.id)) {
+        res.status(404).json({ error: 'Price watch not found' });
+        return null;
+    }
+    return watch;
+}
+
+app.get('/api/watches', async (req, res) => {
+    try {
+        const watches = await watchStore.listWatches({ sessionId: req.query.sessionId, userId: ownerFilter(req.user) });
+        res.json(watches.map(describeWatch));
+    } catch (error) {
+        log.error('Watch list error', { error });
+        res.status(500).json({ error: 'Failed to list price watches.' });
+    }
+});
+
+// Body: { type: 'flight' | 'hotel', sessionId?, ...the arguments of watchFlightPrice or watchHotelPrice }
+app.post('/api/watches', async (req, res) => {
+    const { type, sessionId, ...args } = req.body || {};
+    const tool = { flight: 'watchFlightPrice', hotel: 'watchHotelPrice' }[type];
+    if (!tool) {
+        return res.status(400).json({ error: 'Type must be "flight" or "hotel"' });
+    }
+
+    const validation = toolValidator.validate(tool, args);
+    if (validation.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid watch', validationErrors: validation.errors });
+    }
+
+    try {
+        if (!await checkSessionParam(req, res, sessionId) || !consumeQuota(req, res, 'toolCalls')) {
+            return;
+        }
+        const watch = await startPriceWatch(type, validation.args, sessionId, req.user.id);
+        res.status(201).json(describeWatch(watch));
+    } catch (error) {
+        log.error('Watch create error', { error });
+        res.status(500).json({ error: 'Failed to create price watch.' });
+    }
+});
+
+app.get('/api/watches/:id', async (req, res) => {
+    try {
+        const watch = await loadWatch(req, res);
+        if (watch) {
+            res.json(describeWatch(watch));
+        }
+    } catch (error) {
+        log.error('Watch fetch error', { error });
+        res.status(500).json({ error: 'Failed to fetch price watch.' });
+    }
+});
+
+app.delete('/api/watches/:id', async (req, res) => {
+    try {
+        const watch = await loadWatch(req, res);
+        if (watch) {
+            await watchStore.deleteWatch(watch.id);
+            res.status(204).end();
+        }
+    } catch (error) {
+        log.error('Watch delete error', { error });
+        res.status(500).json({ error: 'Failed to delete price watch.' });
+    }
+});
+
+// --- Confirmation of Side-Effecting Tools ---
+// These tools create or cancel real reservations, so they only run after the user confirms
+const SIDE_EFFECT_TOOLS = new Set(['bookHotel', 'createFlightOrder', 'cancelFlightOrder']);
+// The ones that count against the daily bookings quota
+const BOOKING_TOOLS = new Set(['bookHotel', 'createFlightOrder']);
+
+// Human-readable summary shown on the confirmation card and to the model
+function summarizeAction(name, args, sessionId) {
+    if (name === 'bookHotel') {
+        const cached = hotelOfferCache.get(args.offerId);
+        return {
+            title: 'Hotel booking',
+            hotel: cached ? cached.hotel.name : undefined,
+            dates: cached ? `${cached.offer.checkInDate} to ${cached.offer.checkOutDate}` : undefined,
+            price: cached ? `${cached.offer.price.total} ${cached.offer.price.currency}` : undefined,
+            guest: [args.guestTitle, args.guestFirstName, args.guestLastName].filter(Boolean).join(' '),
+            email: args.guestEmail,
+            phone: args.guestPhone,
+            offerId: args.offerId
+        };
+    }
+
+    if (name === 'createFlightOrder') {
+        const entry = findFlightOffer(args.offerId, sessionId);
+        const offer = entry && entry.pricedOffer;
+        const itineraries = offer ? offer.itineraries : [];
+        return {
+            title: 'Flight booking',
+            flights: itineraries.map(itinerary => {
+                const segments = itinerary.segments;
+                return `${segments[0].departure.iataCode} ➝ ${segments[segments.length - 1].arrival.iataCode} on ${segments[0].departure.at.split('T')[0]}`;
+            }).join(', ') || undefined,
+            price: offer ? `${offer.price.grandTotal || offer.price.total} ${offer.price.currency}` : undefined,
+            extras: entry && entry.selection ? describeAncillaries(entry.offer, entry.selection) : undefined,
+            travelers: (args.travelers || []).map(traveler => `${traveler.firstName} ${traveler.lastName}`).join(', '),
+            offerId: args.offerId
+        };
+    }
+
+    if (name === 'cancelFlightOrder') {
+        return {
+            title: 'Flight cancellation',
+            orderId: args.orderId
+        };
+    }
+
+    return { title: name };
+}
+
+// Map a tool result to a typed block the frontend knows how to render
+function toResultBlock(name, apiResult) {
+    const blockTypes = {
+        searchFlights: 'flights',
+        searchMultiCityFlights: 'flights',
+        searchFlightDestinations: 'destinations',
+        searchCheapestDates: 'fareCalendar',
+        searchActivities: 'activities',
+        searchHotelsByCity: 'hotels',
+        searchHotelsByGeocode: 'hotels',
+        searchHotelsByIds: 'hotels',
+        getHotelOffers: 'offers',
+        getHotelSentiments: 'sentiments',
+        watchFlightPrice: 'priceWatch',
+        watchHotelPrice: 'priceWatch',
+        getPriceWatches: 'priceWatch',
+        addToItinerary: 'itinerary',
+        removeFromItinerary: 'itinerary',
+        getItinerary: 'itinerary',
+        getFlightStatus: 'flightStatus',
+        trackFlight: 'flightStatus',
+        getTrackedFlights: 'flightStatus',
+        predictFlightDelay: 'delayPrediction',
+        getSeatMap: 'seatMap',
+        getBaggageOptions: 'bagOptions'
+    };
+
+    if (name === 'confirmFlightPrice' || name === 'selectAncillaries') {
+        return { type: 'flights', data: apiResult.data.flightOffers };
+    }
+    if (!blockTypes[name] || !Array.isArray(apiResult.data) || apiResult.data.length === 0) {
+        return null;
+    }
+    // Paged results carry their paging, so the cards can load the next page
+    return apiResult.meta && apiResult.meta.searchId
+        ? { type: blockTypes[name], data: apiResult.data, meta: apiResult.meta }
+        : { type: blockTypes[name], data: apiResult.data };
+}
+
+// --- Conversation History ---
+// Each session stores the full conversation in the provider-neutral format of lib/llm, including
+// tool calls and results, so hotel IDs, offer IDs and flight details fetched in earlier turns stay available to the model
+
+// Compact the history once its serialized size passes this many characters
+const HISTORY_COMPACT_THRESHOLD = parseInt(process.env.HISTORY_COMPACT_THRESHOLD, 10) || 100000;
+// Number of most recent user turns that are always kept verbatim
+const HISTORY_KEEP_TURNS = 4;
+
+// Compress a conversation to a short summary, following the conversation compression pattern
+async function compressConversation(messages) {
+    const transcriptText = messages.map(message => {
+        if (message.role === 'user') return `user: ${message.text}`;
+        if (message.role === 'assistant') {
+            return [
+                ...(message.text ? [`assistant: ${message.text}`] : []),
+                ...(message.toolCalls || []).map(call => `assistant called ${call.name}(${JSON.stringify(call.args)})`)
+            ].join('\n');
+        }
+        return message.results.map(result => `${result.name} returned: ${JSON.stringify(result.content).slice(0, 4000)}`).join('\n');
+    }).join('\n');
+
+    const prompt = `Compress this travel assistant conversation to 2-3 paragraphs, preserving key information.
+Keep every identifier the user may refer to later verbatim: hotel IDs, hotel offer IDs, flight offer IDs, flight order IDs, booking references, IATA codes, dates, prices and traveler names.
+
+${transcriptText}`;
+
+    return llm.complete(prompt);
+}
+
+// Replace older turns with a summary when the history grows past the threshold.
+// Only cuts at a user message so tool calls and their results are never split.
+async function compactHistory(history) {
+    if (JSON.stringify(history).length <= HISTORY_COMPACT_THRESHOLD) {
+        return history;
+    }
+
+    const turnStarts = history.map((message, index) => (message.role === 'user' ? index : -1)).filter(index => index >= 0);
+    if (turnStarts.length <= HISTORY_KEEP_TURNS) {
+        return history;
+    }
+
+    const cutIndex = turnStarts[turnStarts.length - HISTORY_KEEP_TURNS];
+    try {
+        const summary = await compressConversation(history.slice(0, cutIndex));
+        log.info(`Compacted ${cutIndex} history entries into a summary.`);
+        return [
+            { role: 'user', text: `[System: Summary of the earlier conversation]\n${summary}` },
+            { role: 'assistant', text: 'Understood. I will keep this context in mind.', toolCalls: [] },
+            ...history.slice(cutIndex)
+        ];
+    } catch (error) {
+        log.error('Failed to compact conversation history', { error });
+        return history;
+    }
+}
+
+// --- Session Endpoints ---
+// The session of the request's :id; sends the 404 itself
+async function loadSession(req, res) {
+    const session = await sessionStore.getSession(req.params.id);
+    if (!session || !isOwnedBy(session, req.user.id)) {
+        res.status(404).json({ error: 'Session not found' });
+        return null;
+    }
+    return session;
+}
+
+app.get('/api/sessions', async (req, res) => {
+    try {
+        res.json(await sessionStore.listSessions({ userId: ownerFilter(req.user) }));
+    } catch (error) {
+        log.error('Session list error', { error });
+        res.status(500).json({ error: 'Failed to list sessions.' });
+    }
+});
+
+app.post('/api/sessions', async (req, res) => {
+    try {
+        const session = await sessionStore.createSession({ title: req.body && req.body.title, userId: req.user.id });
+        res.status(201).json(session);
+    } catch (error) {
+        log.error('Session create error', { error });
+        res.status(500).json({ error: 'Failed to create session.' });
+    }
+});
+
+app.get('/api/sessions/:id', async (req, res) => {
+    try {
+        const session = await loadSession(req, res);
+        if (session) {
+            res.json(session);
+        }
+    } catch (error) {
+        log.error('Session fetch error', { error });
+        res.status(500).json({ error: 'Failed to fetch session.' });
+    }
+});
+
+app.patch('/api/sessions/:id', async (req, res) => {
+    const title = req.body && typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title) {
+        return res.status(400).json({ error: 'Title is required' });
+    }
+
+    try {
+        const session = await loadSession(req, res);
+        if (session) {
+            res.json(await sessionStore.updateSession(session.id, saved => {
+                saved.title = title.slice(0, 100);
+            }));
+        }
+    } catch (error) {
+        log.error('Session rename error', { error });
+        res.status(500).json({ error: 'Failed to rename session.' });
+    }
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+    try {
+        const session = await loadSession(req, res);
+        if (session) {
+            await sessionStore.deleteSession(session.id);
+            res.status(204).end();
+        }
+    } catch (error) {
+        log.error('Session delete error', { error });
+        res.status(500).json({ error: 'Failed to delete session.' });
+    }
+});
+
+// --- Chat ---
+// Short label for a tool call shown while it runs, e.g. "searchFlights(IST→JFK)"
+function describeToolCall(name, args = {}) {
+    let detail;
+    if (Array.isArray(args.legs)) {
+        detail = args.legs.map(leg => `${leg.origin}→${leg.destination}`).join(', ');
+    } else if (args.origin && args.destination) {
+        detail = `${args.origin}→${args.destination}`;
+    } else {
+        detail = (args.carrierCode ? `${args.carrierCode}${args.flightNumber}` : '') || args.keyword || args.cityCode || args.hotelIds || args.hotelId || args.offerId || args.activityId || args.itemId || args.orderId || args.origin ||
+            (args.latitude !== undefined ? `${args.latitude}, ${args.longitude}` : '');
+    }
+    return `${name}(${detail})`;
+}
+
+// Look up the user's session a message belongs to, or start a new one when no id is given
+async function openChatSession(sessionId, message, user) {
+    if (sessionId) {
+        const session = await sessionStore.getSession(sessionId);
+        return session && isOwnedBy(session, user.id) ? session : null;
+    }
+    return sessionStore.createSession({ title: message.slice(0, 60), userId: user.id });
+}
+
+// The daily quota a tool call would go past, as { quota, limit, resetAt }, or null.
+// Every call uses one tool call; a booking is only checked here, and used when the user confirms it.
+function exceededToolQuota(userId, name) {
+    if (BOOKING_TOOLS.has(name)) {
+        const bookings = usageLimits.peek(userId, 'bookings');
+        if (!bookings.allowed) {
+            return { quota: 'bookings', ...bookings };
+        }
+    }
+    const toolCalls = usageLimits.consume(userId, 'toolCalls');
+    return toolCalls.allowed ? null : { quota: 'toolCalls', ...toolCalls };
+}
+
+// Bounds on a single turn: rounds of tool calls and total time
+const MAX_TOOL_ROUNDS = parseInt(process.env.MAX_TOOL_ROUNDS, 10) || 8;
+const CHAT_TIME_BUDGET_MS = parseInt(process.env.CHAT_TIME_BUDGET_MS, 10) || 60000;
+
+// Run one user turn through the tool-calling loop and save it to the session.
+// onEvent(name, data) is told about tool calls, result blocks and text as they happen;
+// an aborted signal stops the turn and leaves the session unchanged. Tool calls use the quota of userId.
+async function runChatTurn(session, message, { onEvent = () => {}, signal, userId } = {}) {
+    const startedAt = Date.now();
+    setContext({ sessionId: session.id });
+    const savedHistoryLength = normalizeHistory(session.history).length;
+    const savedMessageCount = session.messages.length;
+    const history = await compactHistory(normalizeHistory(session.history));
+
+    const currentDate = new Date().toISOString().split('T')[0];
+    const messages = [...history, { role: 'user', text: `[System: Current Date is ${currentDate}] ${message}` }];
+
+    // Ask the model for its next step and add it to the conversation
+    const nextReply = async () => {
+        const reply = await llm.chat({
+            system: SYSTEM_PROMPT,
+            messages,
+            tools: toolDeclarations,
+            signal,
+            onText: delta => onEvent('text', { delta })
+        });
+        messages.push({ role: 'assistant', text: reply.text, toolCalls: reply.toolCalls });
+        return reply;
+    };
+
+    let reply = await nextReply();
+    const resultBlocks = [];
+    let callCount = 0;
+    let rounds = 0;
+    let limitMessage = null;
+
+    const addBlock = block => {
+        resultBlocks.push(block);
+        onEvent('block', block);
+    };
+
+    // Handle Tool Calls
+    while (reply.toolCalls.length > 0) {
+        if (++rounds > MAX_TOOL_ROUNDS) {
+            limitMessage = `I stopped after ${MAX_TOOL_ROUNDS} rounds of searches without reaching an answer.`;
+            break;
+        }
+        if (Date.now() - startedAt > CHAT_TIME_BUDGET_MS) {
+            limitMessage = `I stopped because this request took longer than ${Math.round(CHAT_TIME_BUDGET_MS / 1000)} seconds.`;
+            break;
+        }
+
+        const results = [];
+
+        for (const call of reply.toolCalls) {
+            if (signal) signal.throwIfAborted();
+
+            const name = call.name;
+            const callId = ++callCount;
+            const respond = content => results.push({ id: call.id, name, content });
+            onEvent('tool_start', { id: callId, name, args: call.args, label: describeToolCall(name, call.args || {}) });
+
+            // Invalid calls never reach Amadeus; the model gets the problems back so it can correct them
+            const { args, errors } = toolValidator.validate(name, call.args);
+            const exceeded = errors.length === 0 ? exceededToolQuota(userId, name) : null;
+            if (errors.length > 0) {
+                log.warn(`Rejected ${name} call with invalid arguments`, { tool: name, validationErrors: errors });
+                toolCallErrors.inc({ tool: name, reason: 'invalid_arguments' });
+                onEvent('tool_end', {
+                    id: callId,
+                    name,
+                    status: 'error',
+                    error: `Invalid arguments: ${errors.map(error => `${error.field} ${error.message}`.trim()).join('; ')}`
+                });
+                respond({
+                    error: 'INVALID_ARGUMENTS',
+                    message: 'The call was not made. Fix these arguments and call the tool again, or ask the user for what is missing.',
+                    validationErrors: errors
+                });
+            } else if (exceeded) {
+                log.warn(`Refused ${name} call: daily ${exceeded.quota} quota reached`, { tool: name, quota: exceeded.quota, limit: exceeded.limit });
+                toolCallErrors.inc({ tool: name, reason: 'quota' });
+                limitRefusals.inc({ limit: exceeded.quota });
+                onEvent('tool_end', { id: callId, name, status: 'error', error: `Daily limit of ${exceeded.limit} ${QUOTA_NAMES[exceeded.quota]} reached` });
+                respond({
+                    error: 'QUOTA_EXCEEDED',
+                    message: `The call was not made: the user has used all ${exceeded.limit} ${QUOTA_NAMES[exceeded.quota]} allowed today. Tell them the limit resets at ${exceeded.resetAt} and do not call the tool again.`
+                });
+            } else if (SIDE_EFFECT_TOOLS.has(name)) {
+                // Park the call until the user confirms it through /api/actions/:id/confirm
+                const action = pendingActions.createPendingAction({
+                    tool: name,
+                    args,
+                    summary: summarizeAction(name, args, session.id),
+                    sessionId: session.id
+                });
+                onEvent('tool_end', { id: callId, name, status: 'pending' });
+                addBlock({ type: 'pendingAction', data: pendingActions.describeForClient(action) });
+                respond(pendingActions.describeForModel(action));
+            } else {
+                const stopTimer = toolCallDuration.startTimer({ tool: name });
+                try {
+                    const apiResult = await functions[name](args, { sessionId: session.id, userId });
+                    const seconds = stopTimer({ outcome: 'ok' });
+                    log.info(`Tool ${name} finished`, { tool: name, durationMs: Math.round(seconds * 1000) });
+                    onEvent('tool_end', { id: callId, name, status: 'ok' });
+
+                    // Capture data for UI rendering, in the order the tools ran
+                    const block = toResultBlock(name, apiResult);
+                    if (block) {
+                        addBlock(block);
                     }
+
+                    respond(apiResult);
+                } catch (err) {
+                    const seconds = stopTimer({ outcome: 'error' });
+                    toolCallErrors.inc({ tool: name, reason: 'error' });
+                    log.warn(`Tool ${name} failed`, { tool: name, durationMs: Math.round(seconds * 1000), error: err });
+                    onEvent('tool_end', { id: callId, name, status: 'error', error: err.message });
+                    respond({ error: err.message, details: err instanceof AmadeusError ? err.toJSON() : undefined });
                 }
             }
-            
-            // Send function results back to the model
-            result = await chat.sendMessage(functionResponses);
-            response = result.response;
         }
 
-        // Final text response from model
-        const text = response.text();
+        if (signal) signal.throwIfAborted();
 
-        res.json({
-            type: uiData ? 'results' : 'message',
-            content: text,
-            data: uiData,
-            dataType: uiType
-        });
+        // Send tool results back to the model
+        messages.push({ role: 'tool', results });
+        reply = await nextReply();
+    }
+
+    let text = reply.text;
+    if (limitMessage) {
+        log.warn(`Chat turn for session ${session.id} stopped after ${rounds - 1} rounds and ${Date.now() - startedAt}ms.`);
+        text = `${limitMessage} Please try a narrower request, for example one city or one date at a time.`;
+        // The model's last tool calls were never answered: end the turn with the message instead
+        messages.splice(-1, 1, { role: 'assistant', text, toolCalls: [] });
+    }
+
+    // Save the turn on the session as it is now: what was added while the turn ran (a booking confirmed
+    // on its card, a flight status change) is kept after the turn, and the confirmation cards of the turn
+    // get the current status of their actions
+    resultBlocks.filter(block => block.type === 'pendingAction').forEach(block => {
+        const action = pendingActions.getPendingAction(block.data.id);
+        if (action) {
+            block.data.status = action.status;
+        }
+    });
+    const turnMessages = [
+        { role: 'user', content: message, createdAt: new Date().toISOString() },
+        { role: 'model', content: text, blocks: resultBlocks, createdAt: new Date().toISOString() }
+    ];
+    await sessionStore.updateSession(session.id, saved => {
+        // Sessions created empty get their title from the first message
+        if (savedMessageCount === 0 && saved.title === sessionStore.DEFAULT_SESSION_TITLE) {
+            saved.title = message.slice(0, 60);
+        }
+        saved.history = [...messages, ...normalizeHistory(saved.history).slice(savedHistoryLength)];
+        saved.messages = [
+            ...saved.messages.slice(0, savedMessageCount),
+            ...turnMessages,
+            ...saved.messages.slice(savedMessageCount)
+        ];
+    });
+
+    return {
+        sessionId: session.id,
+        type: resultBlocks.length > 0 ? 'results' : 'message',
+        content: text,
+        blocks: resultBlocks
+    };
+}
+
+// Chat Endpoint using the configured LLM with Tools
+app.post('/api/chat', async (req, res) => {
+    const { message, sessionId } = req.body || {};
+
+    if (!message) {
+        return res.status(400).json({ error: 'Message is required' });
+    }
+
+    if (!llm) {
+        return res.status(503).json({ error: 'AI Model not initialized. Check server logs for API Key issues.' });
+    }
+
+    try {
+        const session = await openChatSession(sessionId, message, req.user);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!consumeQuota(req, res, 'chatTurns')) {
+            return;
+        }
+
+        const result = await runChatTurn(session, message, { userId: req.user.id });
+        setQuotaHeaders(res, req.user.id);
+        res.json(result);
 
     } catch (error) {
-        console.error('Chat processing error:', error);
+        log.error('Chat processing error', { error });
         res.status(500).json({ error: 'An error occurred while processing your request.' });
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+// Streaming variant of /api/chat using Server-Sent Events:
+// session, tool_start, tool_end, block and text events while the turn runs, then done (same body as /api/chat) or error.
+// Closing the connection cancels the turn.
+app.post('/api/chat/stream', async (req, res) => {
+    const { message, sessionId } = req.body || {};
+
+    if (!message) {
+        return res.status(400).json({ error: 'Message is required' });
+    }
+
+    if (!llm) {
+        return res.status(503).json({ error: 'AI Model not initialized. Check server logs for API Key issues.' });
+    }
+
+    let session;
+    try {
+        session = await openChatSession(sessionId, message, req.user);
+    } catch (error) {
+        log.error('Chat processing error', { error });
+        return res.status(500).json({ error: 'An error occurred while processing your request.' });
+    }
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    if (!consumeQuota(req, res, 'chatTurns')) {
+        return;
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    sendEvent('session', { sessionId: session.id });
+
+    try {
+        const result = await runChatTurn(session, message, { onEvent: sendEvent, signal: controller.signal, userId: req.user.id });
+        sendEvent('done', result);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            log.info(`Chat request for session ${session.id} was cancelled by the client.`);
+            return;
+        }
+        log.error('Chat processing error', { error });
+        sendEvent('error', { error: 'An error occurred while processing your request.' });
+    }
+    res.end();
 });
+
+// --- Action Confirmation Endpoints ---
+// Record the outcome in the session so the model and a resumed UI both know about it
+async function recordActionOutcome(action, displayText, modelText) {
+    await sessionStore.updateSession(action.sessionId, session => {
+        session.messages.forEach(msg => (msg.blocks || []).forEach(block => {
+            if (block.type === 'pendingAction' && block.data.id === action.id) {
+                block.data.status = action.status;
+            }
+        }));
+        addSessionEvent(session, displayText, modelText);
+    });
+}
+
+// Show something that happened outside a chat turn in the session, and tell the model about it
+function addSessionEvent(session, displayText, modelText, blocks = []) {
+    session.messages.push({ role: 'model', content: displayText, blocks, createdAt: new Date().toISOString() });
+    session.history = [
+        ...normalizeHistory(session.history),
+        { role: 'user', text: `[System: ${modelText}]` },
+        { role: 'assistant', text: 'Noted.', toolCalls: [] }
+    ];
+}
+
+async function appendSessionEvent(sessionId, displayText, modelText, blocks = []) {
+    return sessionStore.updateSession(sessionId, session => addSessionEvent(session, displayText, modelText, blocks));
+}
+
+// Look up the action and check the confirmation token; sends the error response itself
+function findActionForDecision(req, res) {
+    const action = pendingActions.getPendingAction(req.params.id);
+    if (!action) {
+        res.status(404).json({ error: 'Action not found' });
+        return null;
+    }
+    setContext({ sessionId: action.sessionId });
+    if (!pendingActions.isValidToken(action, req.body && req.body.token)) {
+        res.status(403).json({ error: 'Invalid confirmation token' });
+        return null;
+    }
+    if (action.status !== 'PENDING') {
+        res.status(409).json({ error: `Action is already ${action.status.toLowerCase()}`, status: action.status });
+        return null;
+    }
+    return action;
+}
+
+app.post('/api/actions/:id/confirm', async (req, res) => {
+    const action = findActionForDecision(req, res);
+    if (!action) {
+        return;
+    }
+    // Bookings count against the daily quota when they are confirmed; a refused one stays pending
+    if (BOOKING_TOOLS.has(action.tool) && !consumeQuota(req, res, 'bookings')) {
+        return;
+    }
+    pendingActions.resolveAction(action, 'CONFIRMED');
+
+    let result = null;
+    let errorMessage = null;
+    try {
+        result = await functions[action.tool](action.args, { sessionId: action.sessionId });
+    } catch (error) {
+        errorMessage = error.message;
+    }
+
+    try {
+        await appendAuditEntry({
+            actionId: action.id,
+            sessionId: action.sessionId,
+            userId: req.user.id,
+            tool: action.tool,
+            decision: 'CONFIRMED',
+            outcome: errorMessage ? 'FAILED' : 'SUCCEEDED',
+            error: errorMessage || undefined,
+            summary: action.summary
+        });
+    } catch (error) {
+        log.error('Failed to write audit log', { error });
+    }
+
+    const title = action.summary.title.toLowerCase();
+    const displayText = errorMessage ? `The ${title} failed: ${errorMessage}` : `Your ${title} is confirmed.`;
+    const modelText = errorMessage
+        ? `The user confirmed action ${action.id} (${action.tool}) but it failed: ${errorMessage}`
+        : `The user confirmed action ${action.id} (${action.tool}) and it completed. Result: ${JSON.stringify(result)}`;
+    await recordActionOutcome(action, displayText, modelText).catch(error => log.error('Failed to record action outcome', { error }));
+
+    if (errorMessage) {
+        return res.status(502).json({ status: action.status, error: errorMessage });
+    }
+    res.json({ status: action.status, result });
+});
+
+app.post('/api/actions/:id/cancel', async (req, res) => {
+    const action = findActionForDecision(req, res);
+    if (!action) {
+        return;
+    }
+    pendingActions.resolveAction(action, 'REJECTED');
+
+    try {
+        await appendAuditEntry({
+            actionId: action.id,
+            sessionId: action.sessionId,
+            userId: req.user.id,
+            tool: action.tool,
+            decision: 'REJECTED',
+            summary: action.summary
+        });
+    } catch (error) {
+        log.error('Failed to write audit log', { error });
+    }
+
+    await recordActionOutcome(action, `The ${action.summary.title.toLowerCase()} was cancelled.`, `The user rejected action ${action.id} (${action.tool}); nothing was done.`)
+        .catch(error => log.error('Failed to record action outcome', { error }));
+    res.json({ status: action.status });
+});
+
+// --- Health and Metrics ---
+
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+});
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+// Amadeus is ready when an access token can be had (usually the cached one)
+async function checkAmadeus() {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+    });
+    try {
+        await Promise.race([amadeus.getAccessToken(), timeout]);
+        return { ready: true, mock: MOCK_AMADEUS };
+    } catch (error) {
+        return { ready: false, mock: MOCK_AMADEUS, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// The LLM is ready when its provider is set up and its latest round trip, if any, did not fail.
+// No request is made here, so probes cost no tokens.
+function checkLLM() {
+    if (!llm) {
+        return { ready: false, error: 'The LLM provider is not initialized. Check the API key configuration.' };
+    }
+    return {
+        ready: !llmHealth.lastError,
+        provider: llm.name,
+        model: llm.model,
+        lastRoundTripAt: llmHealth.lastRoundTripAt,
+        ...(llmHealth.lastError ? { error: llmHealth.lastError } : {})
+    };
+}
+
+// 200 when both the LLM and Amadeus are ready, 503 otherwise
+app.get('/healthz', async (req, res) => {
+    const checks = { llm: checkLLM(), amadeus: await checkAmadeus() };
+    const ready = Object.values(checks).every(check => check.ready);
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', checks });
+});
+
+async function start() {
+    if (MOCK_AMADEUS) {
+        const { startMockAmadeus } = require('./mock/amadeus-server');
+        await startMockAmadeus(MOCK_AMADEUS_PORT);
+        log.info(`Mock Amadeus API running on http://localhost:${MOCK_AMADEUS_PORT}`);
+    }
+
+    watchScheduler.start();
+    flightTracker.start();
+
+    app.listen(PORT, () => {
+        log.info(`Server running on http://localhost:${PORT}`);
+    });
+}
+
+start();
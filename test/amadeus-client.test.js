@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createAmadeusClient, AmadeusValidationError, AmadeusServerError } = require('../lib/amadeus-client');
+
+let server;
+let baseUrl;
+let tokenRequests = 0;
+let hits = {};
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url.startsWith('/v1/security/oauth2/token')) {
+            tokenRequests++;
+            // Slow enough for concurrent callers to overlap
+            setTimeout(() => res.end(JSON.stringify({ access_token: 'token', expires_in: 1799 })), 50);
+            return;
+        }
+
+        hits[req.url] = (hits[req.url] || 0) + 1;
+        if (req.url === '/flaky' && hits[req.url] === 1) {
+            res.statusCode = 503;
+            return res.end('{}');
+        }
+        if (req.url === '/broken') {
+            res.statusCode = 500;
+            return res.end('{}');
+        }
+        if (req.url === '/invalid') {
+            res.statusCode = 400;
+            return res.end(JSON.stringify({ errors: [{ status: 400, code: 37200, title: 'PRICE DISCREPANCY', detail: 'Current grandTotal price is different', source: { pointer: '/data' } }] }));
+        }
+        res.end(JSON.stringify({ data: [] }));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+test('concurrent requests share a single token refresh', async () => {
+    tokenRequests = 0;
+    const client = createAmadeusClient({ baseUrl });
+    await Promise.all([client.get('/a'), client.get('/b'), client.get('/c')]);
+    assert.strictEqual(tokenRequests, 1);
+});
+
+test('GET requests are retried on server errors', async () => {
+    const client = createAmadeusClient({ baseUrl, retryDelayMs: 1 });
+    assert.deepStrictEqual(await client.get('/flaky'), { data: [] });
+    assert.strictEqual(hits['/flaky'], 2);
+});
+
+test('bookings are not retried on server errors', async () => {
+    const client = createAmadeusClient({ baseUrl, retryDelayMs: 1 });
+    await assert.rejects(client.post('/broken', {}), AmadeusServerError);
+    assert.strictEqual(hits['/broken'], 1);
+});
+
+test('Amadeus error payloads are mapped to typed errors', async () => {
+    const client = createAmadeusClient({ baseUrl });
+    await assert.rejects(client.post('/invalid', {}), error => {
+        assert.ok(error instanceof AmadeusValidationError);
+        assert.deepStrictEqual(error.toJSON(), {
+            type: 'AmadeusValidationError',
+            status: 400,
+            code: 37200,
+            title: 'PRICE DISCREPANCY',
+            detail: 'Current grandTotal price is different',
+            source: { pointer: '/data' }
+        });
+        return true;
+    });
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { summarizeSeatMap, applyAncillaries, mergeAncillaries, describeAncillaries } = require('../lib/ancillaries');
+const { startMockServer } = require('../mock/server-process');
+const flightOffers = require('../mock/fixtures/flight-offers.json');
+const seatmaps = require('../mock/fixtures/seatmap.json');
+
+const [offer] = flightOffers.data;
+
+test('a seat map summary lists each seat with its status, price and characteristics', () => {
+    const seatMap = summarizeSeatMap({ ...seatmaps.data[0], flightOfferId: '1', segmentId: '1' });
+    const seats = seatMap.decks[0].seats;
+    const byNumber = number => seats.find(seat => seat.number === number);
+
+    assert.strictEqual(byNumber('10A').status, 'BLOCKED');
+    assert.strictEqual(byNumber('11B').status, 'OCCUPIED');
+    assert.deepStrictEqual(byNumber('10C').price, { amount: '25.00', currency: 'EUR' });
+    assert.strictEqual(byNumber('12A').price, null);
+    assert.ok(byNumber('12A').characteristics.includes('window'));
+});
+
+test('chosen seats and bags are attached to the fare of the traveler without changing the offer', () => {
+    const selection = { seats: [{ segmentId: '1', travelerId: '1', seatNumber: '12A' }], bags: [{ travelerId: '1', quantity: 1 }] };
+    const withExtras = applyAncillaries(offer, selection);
+
+    assert.deepStrictEqual(withExtras.travelerPricings[0].fareDetailsBySegment[0].additionalServices, {
+        chargeableSeatNumber: '12A',
+        chargeableCheckedBags: { quantity: 1 }
+    });
+    assert.strictEqual(offer.travelerPricings[0].fareDetailsBySegment[0].additionalServices, undefined);
+    assert.strictEqual(describeAncillaries(offer, selection), 'seat 12A on TK1821, 1 extra bag');
+});
+
+test('new choices only replace the seat of the same traveler on that flight, or their bags', () => {
+    const previous = {
+        seats: [{ segmentId: '1', travelerId: '1', seatNumber: '12A' }, { segmentId: '1', travelerId: '2', seatNumber: '12B' }],
+        bags: [{ travelerId: '1', quantity: 1 }]
+    };
+    assert.deepStrictEqual(mergeAncillaries(previous, { seats: [{ segmentId: '1', travelerId: '2', seatNumber: '10C' }] }), {
+        seats: [{ segmentId: '1', travelerId: '1', seatNumber: '12A' }, { segmentId: '1', travelerId: '2', seatNumber: '10C' }],
+        bags: [{ travelerId: '1', quantity: 1 }]
+    });
+    assert.deepStrictEqual(mergeAncillaries(undefined, { bags: [{ travelerId: '1', quantity: 2 }] }), { seats: [], bags: [{ travelerId: '1', quantity: 2 }] });
+});
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('a seat picked on the map and an extra bag are included in the confirmed price', async () => {
+    const { body } = await server.request('POST', '/api/chat', { message: 'I want to pick a seat and add a bag' });
+    const [seatMap] = body.blocks.find(block => block.type === 'seatMap').data;
+    assert.strictEqual(seatMap.flight, 'TK1821');
+    assert.deepStrictEqual(body.blocks.find(block => block.type === 'bagOptions').data.map(option => option.quantity), [1, 2]);
+
+    const taken = await server.request('POST', `/api/flight-offers/${seatMap.offerId}/ancillaries`, {
+        sessionId: body.sessionId,
+        seats: [{ segmentId: seatMap.segmentId, travelerId: '1', seatNumber: '11B' }]
+    });
+    assert.strictEqual(taken.status, 400);
+    assert.match(taken.body.error, /11B on TK1821 is not available/);
+
+    const bag = await server.request('POST', `/api/flight-offers/${seatMap.offerId}/ancillaries`, {
+        sessionId: body.sessionId,
+        bags: [{ travelerId: '1', quantity: 1 }]
+    });
+    assert.deepStrictEqual([bag.body.offer.price.grandTotal, bag.body.ancillaries], ['219.40', '1 extra bag']);
+
+    // The seat is added to the bag chosen before
+    const chosen = await server.request('POST', `/api/flight-offers/${seatMap.offerId}/ancillaries`, {
+        sessionId: body.sessionId,
+        seats: [{ segmentId: seatMap.segmentId, travelerId: '1', seatNumber: '10C' }]
+    });
+    assert.strictEqual(chosen.status, 200);
+    assert.strictEqual(chosen.body.offer.price.grandTotal, '244.40');
+    assert.strictEqual(chosen.body.ancillaries, 'seat 10C on TK1821, 1 extra bag');
+
+    const session = await server.request('GET', `/api/sessions/${body.sessionId}`);
+    assert.match(session.body.messages.at(-1).content, /Selected seat 10C on TK1821, 1 extra bag\. The new total is 244\.40 EUR/);
+
+    // Pricing the offer again keeps the same choices
+    const priced = await server.request('POST', '/api/chat', { message: 'Confirm the price of this flight', sessionId: body.sessionId });
+    const [flight] = priced.body.blocks.findLast(block => block.type === 'flights').data;
+    assert.strictEqual(flight.price.grandTotal, '244.40');
+});
@@ -0,0 +1,146 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createAuth } = require('../lib/auth');
+const { createUsageLimits } = require('../lib/usage-limits');
+const { startMockServer } = require('../mock/server-process');
+
+test('session tokens name their user until they expire, and tampered ones are refused', () => {
+    const auth = createAuth({ apiKeys: 'alice:alice-key, bob:bob-key', tokenSecret: 'secret' });
+    assert.deepStrictEqual([auth.userForApiKey('bob-key'), auth.userForApiKey('nope')], ['bob', null]);
+
+    const { token } = auth.issueToken('alice');
+    assert.strictEqual(auth.verifyToken(token), 'alice');
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'bob', exp: Date.now() + 60000 })).toString('base64url');
+    assert.strictEqual(auth.verifyToken(`${forged}.${signature}`), null);
+    assert.strictEqual(createAuth({ apiKeys: 'alice:alice-key', tokenSecret: 'other' }).verifyToken(token), null);
+    const expiring = createAuth({ tokenSecret: 'secret', tokenTtlMs: -1 });
+    assert.strictEqual(expiring.verifyToken(expiring.issueToken('alice').token), null);
+    assert.strictEqual(auth.verifyToken(payload), null);
+
+    assert.throws(() => createAuth({ apiKeys: 'alice-key' }), /entry 1: expected userId:apiKey/);
+});
+
+test('the request limit resets every minute and the daily quotas at UTC midnight', () => {
+    let time = Date.parse('2030-06-12T23:59:00Z');
+    const limits = createUsageLimits({ requestsPerMinute: 2, daily: { chatTurns: 1, toolCalls: 0 } }, () => time);
+
+    assert.deepStrictEqual([limits.takeRequest('alice').remaining, limits.takeRequest('alice').remaining], [1, 0]);
+    assert.strictEqual(limits.takeRequest('alice').allowed, false);
+    assert.strictEqual(limits.takeRequest('bob').allowed, true);
+
+    assert.strictEqual(limits.consume('alice', 'chatTurns').allowed, true);
+    const refused = limits.consume('alice', 'chatTurns');
+    assert.deepStrictEqual(refused, { allowed: false, limit: 1, remaining: 0, resetAt: '2030-06-13T00:00:00.000Z' });
+    assert.deepStrictEqual(limits.consume('alice', 'toolCalls'), { allowed: true, limit: null, remaining: null, resetAt: '2030-06-13T00:00:00.000Z' });
+
+    time += 60 * 1000;
+    assert.strictEqual(limits.takeRequest('alice').allowed, true);
+    assert.deepStrictEqual(limits.quotas('alice').chatTurns, { limit: 1, used: 0, remaining: 1 });
+});
+
+let server;
+
+before(async () => {
+    server = await startMockServer({
+        AUTH_API_KEYS: 'alice:alice-key,bob:bob-key,carol:carol-key,dave:dave-key,erin:erin-key,frank:frank-key',
+        AUTH_TOKEN_SECRET: 'test-secret',
+        RATE_LIMIT_PER_MINUTE: '8',
+        QUOTA_CHAT_TURNS_PER_DAY: '2',
+        QUOTA_TOOL_CALLS_PER_DAY: '1'
+    });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('the API needs a signed-in user, and sessions are only visible to their owner', async () => {
+    const anonymous = await server.request('GET', '/api/sessions');
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.headers.get('www-authenticate'), 'Bearer realm="api"');
+    assert.strictEqual((await server.request('POST', '/api/auth/login', { apiKey: 'wrong' })).status, 401);
+
+    const login = await server.request('POST', '/api/auth/login', { apiKey: 'alice-key' });
+    assert.strictEqual(login.status, 200);
+    assert.match(login.headers.get('set-cookie'), /^auth_token=[\w-]+\.[\w-]+;.*HttpOnly/i);
+    const cookie = login.headers.get('set-cookie').split(';')[0];
+    const me = await server.request('GET', '/api/auth/me', null, { Cookie: cookie });
+    assert.deepStrictEqual([me.body.user.id, me.body.quotas.chatTurns.remaining], ['alice', 2]);
+
+    const chat = await server.request('POST', '/api/chat', { message: 'Find me a flight from Istanbul to Paris' }, { Authorization: `Bearer ${login.body.token}` });
+    assert.strictEqual(chat.status, 200);
+    assert.strictEqual(chat.headers.get('x-quota-remaining'), 'chatTurns=1, toolCalls=0, bookings=5');
+
+    const bob = { 'X-API-Key': 'bob-key' };
+    assert.strictEqual((await server.request('GET', `/api/sessions/${chat.body.sessionId}`, null, bob)).status, 404);
+    assert.deepStrictEqual((await server.request('GET', '/api/sessions', null, bob)).body, []);
+    assert.strictEqual((await server.request('POST', '/api/chat', { message: 'hello', sessionId: chat.body.sessionId }, bob)).status, 404);
+});
+
+test('tool calls past the daily quota go back to the model, and chat turns past it get a 429', async () => {
+    const alice = { 'X-API-Key': 'alice-key' };
+    const { body } = await server.request('POST', '/api/chat', { message: 'What is the best rated hotel near the Louvre?' }, alice);
+    const session = await server.request('GET', `/api/sessions/${body.sessionId}`, null, alice);
+    const result = session.body.history.find(message => message.role === 'tool').results[0].content;
+    assert.strictEqual(result.error, 'QUOTA_EXCEEDED');
+    assert.match(result.message, /all 1 tool calls allowed today/);
+
+    const refused = await server.request('POST', '/api/chat', { message: 'hello' }, alice);
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual(refused.body.limit, 'chatTurns');
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+});
+
+test('itineraries, watches and tracked flights belong to their user, and only their sessions can be used', async () => {
+    const alice = { 'X-API-Key': 'alice-key' };
+    const { body: session } = await server.request('POST', '/api/sessions', {}, alice);
+    const { body: itinerary } = await server.request('POST', '/api/itineraries', { sessionId: session.id }, alice);
+
+    const bob = { 'X-API-Key': 'bob-key' };
+    assert.deepStrictEqual((await server.request('GET', '/api/itineraries', null, bob)).body, []);
+    assert.strictEqual((await server.request('GET', `/api/itineraries/${itinerary.id}`, null, bob)).status, 404);
+    assert.strictEqual((await server.request('DELETE', `/api/itineraries/${itinerary.id}`, null, bob)).status, 404);
+    const flight = { carrierCode: 'TK', flightNumber: '1821', date: '2030-06-12', sessionId: session.id };
+    assert.strictEqual((await server.request('POST', '/api/tracked-flights', flight, bob)).status, 404);
+
+    // Watches check Amadeus when they are created, so they use the daily tool calls
+    const dave = { 'X-API-Key': 'dave-key' };
+    const watch = { type: 'flight', origin: 'IST', destination: 'CDG', date: '2030-06-12', targetPrice: 180 };
+    assert.strictEqual((await server.request('POST', '/api/watches', { ...watch, sessionId: session.id }, dave)).status, 404);
+    const created = await server.request('POST', '/api/watches', watch, dave);
+    assert.strictEqual(created.status, 201);
+    const refused = await server.request('POST', '/api/watches', watch, dave);
+    assert.deepStrictEqual([refused.status, refused.body.limit], [429, 'toolCalls']);
+    assert.deepStrictEqual((await server.request('GET', '/api/watches', null, dave)).body.map(w => w.id), [created.body.id]);
+    assert.deepStrictEqual((await server.request('GET', '/api/watches', null, bob)).body, []);
+});
+
+test('inspiration searches and hotel pages ranked by rating use the daily tool calls', async () => {
+    const erin = { 'X-API-Key': 'erin-key' };
+    assert.strictEqual((await server.request('GET', '/api/search?origin=IST', null, erin)).status, 200);
+    const refused = await server.request('GET', '/api/search?origin=IST', null, erin);
+    assert.deepStrictEqual([refused.status, refused.body.limit], [429, 'toolCalls']);
+
+    // The hotel search takes the tool call, so ranking its results by rating is refused
+    const frank = { 'X-API-Key': 'frank-key' };
+    const { body } = await server.request('POST', '/api/chat', { message: 'show me hotel prices in Paris' }, frank);
+    const { searchId } = body.blocks.find(block => block.type === 'hotels').meta;
+    assert.strictEqual((await server.request('GET', `/api/hotel-searches/${searchId}?sortBy=stars`, null, frank)).status, 200);
+    const ranked = await server.request('GET', `/api/hotel-searches/${searchId}?sortBy=rating`, null, frank);
+    assert.deepStrictEqual([ranked.status, ranked.body.limit], [429, 'toolCalls']);
+});
+
+test('requests past the per-minute limit get a 429 with the rate limit headers', async () => {
+    const carol = { 'X-API-Key': 'carol-key' };
+    for (let i = 0; i < 8; i++) {
+        assert.strictEqual((await server.request('GET', '/api/auth/me', null, carol)).status, 200);
+    }
+    const refused = await server.request('GET', '/api/auth/me', null, carol);
+    assert.strictEqual(refused.status, 429);
+    assert.deepStrictEqual([refused.body.limit, refused.headers.get('x-ratelimit-remaining')], ['requests', '0']);
+
+    const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+    assert.match(metrics, /^usage_limit_refusals_total\{limit="requests"\} 1$/m);
+    assert.match(metrics, /^auth_failures_total\{reason="missing"\} 1$/m);
+});
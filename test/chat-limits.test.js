@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startMockServer } = require('../mock/server-process');
+
+let server;
+
+before(async () => {
+    server = await startMockServer({
+        MOCK_MODEL_SCRIPT: path.join(__dirname, 'fixtures', 'limits-script.json'),
+        MAX_TOOL_ROUNDS: '2'
+    });
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('invalid tool arguments go back to the model instead of to Amadeus', async () => {
+    const { body: chat } = await server.request('POST', '/api/chat', { message: 'hotel offers with bad dates' });
+    assert.strictEqual(chat.content, 'Here are the offers for your dates.');
+    assert.deepStrictEqual(chat.blocks.map(block => block.type), ['offers']);
+
+    const { body: session } = await server.request('GET', `/api/sessions/${chat.sessionId}`);
+    const responses = session.history
+        .filter(entry => entry.role === 'tool')
+        .map(entry => entry.results[0].content);
+
+    assert.strictEqual(responses[0].error, 'INVALID_ARGUMENTS');
+    assert.deepStrictEqual(responses[0].validationErrors.map(error => error.field), ['adults']);
+    assert.ok(Array.isArray(responses[1].data));
+});
+
+test('the turn stops with a clear message after too many tool rounds', async () => {
+    const { status, body: chat } = await server.request('POST', '/api/chat', { message: 'keep searching' });
+    assert.strictEqual(status, 200);
+    assert.match(chat.content, /stopped after 2 rounds/);
+    assert.deepStrictEqual(chat.blocks.map(block => block.type), ['hotels', 'hotels']);
+
+    // The unanswered function call is replaced so the session can continue
+    const { body: session } = await server.request('GET', `/api/sessions/${chat.sessionId}`);
+    assert.deepStrictEqual(session.history.at(-1), { role: 'assistant', text: chat.content, toolCalls: [] });
+
+    const next = await server.request('POST', '/api/chat', { message: 'thanks', sessionId: chat.sessionId });
+    assert.strictEqual(next.status, 200);
+});
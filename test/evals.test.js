@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { checkTurn, resolveDate } = require('../evals/assertions');
+const { loadCases, runEvals, compareReports } = require('../evals/runner');
+
+const today = new Date('2026-10-14T09:00:00Z'); // a Wednesday
+
+test('relative $date expressions resolve against the day of the run', () => {
+    assert.strictEqual(resolveDate('today', today), '2026-10-14');
+    assert.strictEqual(resolveDate('today+3', today), '2026-10-17');
+    assert.strictEqual(resolveDate('next Friday', today), '2026-10-16');
+    assert.strictEqual(resolveDate('next wednesday', today), '2026-10-21');
+    assert.throws(() => resolveDate('someday', today), /Unsupported/);
+});
+
+test('expected tool calls match in order with matchers on their arguments', () => {
+    const observed = {
+        toolCalls: [
+            { name: 'searchLocations', args: { keyword: 'Paris' } },
+            { name: 'searchFlights', args: { origin: 'IST', destination: 'CDG', date: '2026-10-16', adults: 1 } }
+        ],
+        response: 'The cheapest is TK1821 at 189.40 EUR.',
+        blocks: ['flights']
+    };
+
+    assert.deepStrictEqual(checkTurn({
+        tools: [{ name: 'searchFlights', args: { origin: 'ist', destination: { $in: ['PAR', 'CDG'] }, date: { $date: 'next friday' } } }],
+        blocks: ['flights'],
+        response: { contains: ['189.40'], matches: 'tk\\d+' }
+    }, observed, today), []);
+
+    assert.deepStrictEqual(checkTurn({
+        tools: [{ name: 'searchFlights', args: { date: { $date: 'today' } } }, { name: 'getHotelOffers' }],
+        noTools: ['searchLocations'],
+        blocks: ['hotels'],
+        response: { notContains: ['tk1821'] }
+    }, observed, today), [
+        'expected searchFlights({"date":{"$date":"today"}}), got searchFlights({"origin":"IST","destination":"CDG","date":"2026-10-16","adults":1})',
+        'expected a call to getHotelOffers, got searchLocations, searchFlights',
+        'searchLocations must not be called',
+        'response should not contain "tk1821"',
+        'expected a "hotels" result block, got flights'
+    ]);
+
+    assert.deepStrictEqual(checkTurn({
+        tools: [{ name: 'searchFlights' }, { name: 'searchLocations' }],
+        exactTools: true
+    }, observed, today), [
+        'expected a call to searchLocations after searchFlights',
+        'unexpected call searchLocations({"keyword":"Paris"})'
+    ]);
+});
+
+test('cases are replayed through the chat loop and reported per turn', async () => {
+    const cases = loadCases(path.join(__dirname, 'fixtures', 'eval-cases.jsonl'));
+    const report = await runEvals({ cases, env: { MOCK_MODE: '1' }, provider: { name: 'scripted' } });
+
+    assert.deepStrictEqual(report.summary, { total: 3, passed: 2, failed: 1 });
+    assert.deepStrictEqual(report.cases.map(result => result.passed), [true, true, false]);
+    assert.deepStrictEqual(report.cases[1].turns[1].toolCalls.map(call => [call.name, call.status]), [['bookHotel', 'pending']]);
+    assert.deepStrictEqual(report.cases[2].turns[0].failures, [
+        'expected getHotelSentiments({"hotelIds":"NOPAR003"}), got getHotelSentiments({"hotelIds":"RTPAR001,HIPAR002"})',
+        'getHotelSentiments must not be called',
+        'response should contain "terrible"'
+    ]);
+
+    const previous = { cases: [{ id: 'scripted-flight', passed: false }, { id: 'scripted-wrong-expectations', passed: true }, { id: 'gone', passed: true }] };
+    assert.deepStrictEqual(compareReports(previous, report), {
+        regressed: ['scripted-wrong-expectations'],
+        fixed: ['scripted-flight'],
+        added: ['scripted-hotel-booking'],
+        removed: ['gone']
+    });
+});
+
+test('the scripted cases pass against the mock model script', async () => {
+    const cases = loadCases(path.join(__dirname, '..', 'evals', 'scripted-cases.jsonl'));
+    const report = await runEvals({ cases, env: { MOCK_MODE: '1' }, provider: { name: 'scripted' } });
+    assert.deepStrictEqual(report.cases.filter(result => !result.passed).map(result => result.id), []);
+});
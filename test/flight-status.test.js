@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { summarizeFlightStatus, compareFlightStatus } = require('../lib/flight-status');
+const { startMockServer } = require('../mock/server-process');
+const { startWebhookReceiver, waitFor } = require('../mock/test-helpers');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'mock', 'fixtures');
+const scheduled = require('../mock/fixtures/flight-status.json').data[0];
+
+// The fixture flight, 40 minutes late and moved to another gate
+function delayedFlight() {
+    const flight = JSON.parse(JSON.stringify(scheduled));
+    const departure = flight.flightPoints[0].departure;
+    departure.gate.mainGate = 'B12';
+    departure.timings.push({ qualifier: 'ETD', value: '2030-06-12T09:15+03:00', delays: [{ duration: 'PT40M' }] });
+    return flight;
+}
+
+test('a status summary reads times, gates and delays, and changes are described', () => {
+    const before = summarizeFlightStatus(scheduled);
+    assert.strictEqual(before.flight, 'TK1821');
+    assert.strictEqual(before.status, 'SCHEDULED');
+    assert.deepStrictEqual([before.departure.terminal, before.departure.gate, before.arrival.iataCode], ['I', 'F5', 'CDG']);
+
+    const after = summarizeFlightStatus(delayedFlight());
+    assert.strictEqual(after.status, 'DELAYED');
+    assert.strictEqual(after.departure.delayMinutes, 40);
+    assert.deepStrictEqual(compareFlightStatus(before, after), [
+        'Delayed by 40 minutes, now departing at 09:15',
+        'Departure gate changed from F5 to B12'
+    ]);
+    assert.deepStrictEqual(compareFlightStatus(after, after), []);
+});
+
+let server;
+let webhook;
+let fixturesDir;
+
+before(async () => {
+    // A copy of the fixtures, so the flight status can change while the server runs
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'amadeus-fixtures-'));
+    fs.cpSync(FIXTURES_DIR, fixturesDir, { recursive: true });
+
+    webhook = await startWebhookReceiver();
+
+    server = await startMockServer({
+        MOCK_FIXTURES_DIR: fixturesDir,
+        FLIGHT_TRACK_INTERVAL_MS: '200',
+        NOTIFICATION_WEBHOOK_URL: webhook.url
+    });
+});
+
+after(async () => {
+    await server.stop();
+    webhook.close();
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+test('a tracked flight reports a delay and gate change to the webhook and the session', async () => {
+    const { body } = await server.request('POST', '/api/chat', { message: 'Please track my flight TK1821' });
+    const [tracked] = body.blocks.find(block => block.type === 'flightStatus').data;
+    assert.strictEqual(tracked.status, 'SCHEDULED');
+    assert.strictEqual(tracked.tracking.status, 'ACTIVE');
+
+    fs.writeFileSync(path.join(fixturesDir, 'flight-status.json'), JSON.stringify({ meta: { count: 1 }, data: [delayedFlight()] }));
+
+    const updated = await waitFor(async () => {
+        const { body: flight } = await server.request('GET', `/api/tracked-flights/${tracked.tracking.id}`);
+        return flight.tracking.changes.length > 0 && flight;
+    });
+    assert.strictEqual(updated.status, 'DELAYED');
+    assert.strictEqual(updated.tracking.changes.length, 1);
+
+    const alert = await waitFor(() => webhook.notifications.find(notification => notification.trackingId === tracked.tracking.id));
+    assert.strictEqual(alert.event, 'flight_status_change');
+    assert.match(alert.message, /gate changed from F5 to B12/);
+
+    const session = await server.request('GET', `/api/sessions/${body.sessionId}`);
+    const update = session.body.messages.at(-1);
+    assert.match(update.content, /Delayed by 40 minutes/);
+    assert.strictEqual(update.blocks[0].type, 'flightStatus');
+
+    assert.strictEqual((await server.request('DELETE', `/api/tracked-flights/${tracked.tracking.id}`)).status, 204);
+});
+
+test('tracking an unknown flight is a 404 and a delay prediction covers every flight of the offer', async () => {
+    const missing = await server.request('POST', '/api/tracked-flights', { carrierCode: 'TK', flightNumber: '9999', date: '2030-06-12' });
+    assert.strictEqual(missing.status, 404);
+
+    const { body } = await server.request('POST', '/api/chat', { message: 'Will the flight be delayed?' });
+    const [prediction] = body.blocks.find(block => block.type === 'delayPrediction').data;
+    assert.strictEqual(prediction.flight, 'TK1821');
+    assert.strictEqual(prediction.mostLikely.result, 'LESS_THAN_30_MINUTES');
+    assert.strictEqual(prediction.probabilities.length, 4);
+});
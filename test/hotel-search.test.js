@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { summarizeHotel, mergeSentiments, rankHotels, paginate, describeHotel } = require('../lib/hotel-search');
+const { startMockServer } = require('../mock/server-process');
+const hotelList = require('../mock/fixtures/hotels-by-city.json');
+const sentiments = require('../mock/fixtures/hotel-sentiments.json');
+
+test('hotels ranked by guest rating keep the unrated ones last, in their own order, and are paged', () => {
+    const hotels = mergeSentiments(hotelList.data.map(summarizeHotel), sentiments.data);
+    const ranked = rankHotels([hotels[2], hotels[1], hotels[0]], 'rating');
+    assert.deepStrictEqual(ranked.map(hotel => hotel.hotelId), ['RTPAR001', 'HIPAR002', 'NOPAR003']);
+    assert.deepStrictEqual(rankHotels(hotels, 'stars').map(hotel => hotel.stars), [5, 4, 3]);
+    assert.strictEqual(describeHotel(ranked[0]), 'MOCK HOTEL LOUVRE (RTPAR001): 4 stars, rated 88/100 by 1254 reviews');
+
+    const page = paginate(ranked, 2, 2);
+    assert.deepStrictEqual(page.items.map(hotel => hotel.hotelId), ['NOPAR003']);
+    assert.deepStrictEqual([page.page, page.pages, page.total], [2, 2, 3]);
+    assert.strictEqual(paginate(ranked, 9, 2).page, 2);
+});
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('a filtered geocode search is ranked by rating, summarized for the model and paged for the cards', async () => {
+    const { body } = await server.request('POST', '/api/chat', { message: 'What is the best rated hotel near the Louvre?' });
+    const block = body.blocks.find(candidate => candidate.type === 'hotels');
+    assert.deepStrictEqual(block.data.map(hotel => hotel.hotelId), ['RTPAR001']);
+    assert.strictEqual(block.data[0].guestRating, 88);
+    assert.strictEqual(block.data[0].distance.unit, 'KM');
+    assert.deepStrictEqual([block.meta.total, block.meta.page, block.meta.pages], [2, 1, 2]);
+
+    const session = await server.request('GET', `/api/sessions/${body.sessionId}`);
+    const result = session.body.history.find(message => message.role === 'tool').results[0].content;
+    assert.match(result.message, /^2 hotels found ranked by guest rating; showing 1-1\.\n1\. MOCK HOTEL LOUVRE \(RTPAR001\): 4 stars/);
+    assert.match(result.message, /Repeat the search with page 2 for more\.$/);
+
+    // HIPAR002 has 3 stars, so only the unrated 5-star hotel follows
+    const next = await server.request('GET', `/api/hotel-searches/${block.meta.searchId}?page=2&pageSize=1&sortBy=rating`);
+    assert.deepStrictEqual(next.body.data.map(hotel => hotel.hotelId), ['NOPAR003']);
+    assert.strictEqual(next.body.data[0].guestRating, null);
+
+    assert.strictEqual((await server.request('GET', '/api/hotel-searches/unknown')).status, 404);
+});
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { flightItems, hotelItem, activityItem, findConflicts, describeItinerary } = require('../lib/itinerary');
+const { toICalendar } = require('../lib/itinerary-export');
+const { startMockServer } = require('../mock/server-process');
+const flightOffers = require('../mock/fixtures/flight-offers.json');
+const hotelOffers = require('../mock/fixtures/hotel-offers.json');
+const activities = require('../mock/fixtures/activities.json');
+
+const [flight] = flightItems(flightOffers.data[0]);
+const hotelOffer = { hotel: hotelOffers.data[0].hotel, offer: hotelOffers.data[0].offers[0] };
+
+test('conflicts: check-in before the flight lands and an activity during the flight', () => {
+    const earlyHotel = hotelItem({ hotel: hotelOffer.hotel, offer: { ...hotelOffer.offer, checkInDate: '2030-06-11' } });
+    const tour = activityItem(activities.data[0], { date: '2030-06-12', time: '10:00' });
+
+    const messages = findConflicts([earlyHotel, flight, tour]).map(conflict => conflict.message);
+    assert.deepStrictEqual(messages, [
+        'TK1821 IST → CDG (2030-06-12 08:35) overlaps with Skip-the-line Louvre Museum Tour (2030-06-12 10:00).',
+        'Check-in at MOCK HOTEL LOUVRE on 2030-06-11 is before your flight TK1821 IST → CDG lands on 2030-06-12.'
+    ]);
+
+    const evening = activityItem(activities.data[1], { date: '2030-06-13' });
+    assert.deepStrictEqual(findConflicts([flight, hotelItem(hotelOffer), evening]), []);
+});
+
+test('the calendar export escapes text, keeps local times and folds long lines', () => {
+    const itinerary = describeItinerary({
+        id: 'trip',
+        title: 'Paris, June',
+        items: [flight, hotelItem(hotelOffer, { note: 'Ask for a quiet room; high floor' })]
+    });
+    const ics = toICalendar(itinerary);
+    const lines = ics.split('\r\n');
+
+    assert.ok(lines.includes('X-WR-CALNAME:Paris\\, June'));
+    assert.ok(lines.includes('DTSTART:20300612T083500'));
+    assert.ok(lines.includes('DTEND;VALUE=DATE:20300615'));
+    assert.match(ics.replace(/\r\n /g, ''), /Note: Ask for a quiet room\\; high floor/);
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+});
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('a trip built from the chat and the API is planned by day and exported', async () => {
+    const { body } = await server.request('POST', '/api/chat', { message: 'Add this flight to my trip' });
+    const block = body.blocks.find(candidate => candidate.type === 'itinerary');
+    const itineraryId = block.data[0].id;
+    assert.deepStrictEqual(block.data[0].items.map(item => item.title), ['TK1821 IST → CDG']);
+
+    // Fill the hotel and activity results of this server, then add them through the API
+    await server.request('POST', '/api/chat', { message: 'show me hotel prices in Paris', sessionId: body.sessionId });
+    await server.request('POST', '/api/chat', { message: 'things to do in Paris', sessionId: body.sessionId });
+
+    const hotel = await server.request('POST', `/api/itineraries/${itineraryId}/items`, { itemType: 'hotel', offerId: 'MOCKOFFER001' });
+    assert.strictEqual(hotel.status, 201);
+    const tour = await server.request('POST', `/api/itineraries/${itineraryId}/items`, { itemType: 'activity', activityId: 'MOCKACT1', date: '2030-06-12', time: '10:00' });
+    assert.strictEqual(tour.body.conflicts.length, 1);
+    assert.deepStrictEqual(tour.body.days.map(day => day.date), ['2030-06-12', '2030-06-15']);
+    assert.deepStrictEqual(tour.body.total, { amount: '782.40', currency: 'EUR' });
+
+    const missing = await server.request('POST', `/api/itineraries/${itineraryId}/items`, { itemType: 'activity', activityId: 'MOCKACT1' });
+    assert.deepStrictEqual(missing.body.validationErrors.map(error => error.field), ['date']);
+
+    const calendar = await fetch(`${server.baseUrl}/api/itineraries/${itineraryId}/calendar.ics`);
+    assert.match(calendar.headers.get('content-type'), /text\/calendar/);
+    assert.strictEqual((await calendar.text()).match(/BEGIN:VEVENT/g).length, 3);
+
+    const printable = await fetch(`${server.baseUrl}/api/itineraries/${itineraryId}/print`);
+    assert.match(await printable.text(), /Check these before you go/);
+
+    const tourItem = tour.body.items.find(item => item.kind === 'activity');
+    const removed = await server.request('DELETE', `/api/itineraries/${itineraryId}/items/${tourItem.id}`);
+    assert.deepStrictEqual(removed.body.conflicts, []);
+    assert.strictEqual((await server.request('DELETE', `/api/itineraries/${itineraryId}/items/${tourItem.id}`)).status, 404);
+});
@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createProvider, normalizeHistory } = require('../lib/llm');
+const { toGeminiContents } = require('../lib/llm/gemini');
+
+const conversation = [
+    { role: 'user', text: 'Hotels in Paris' },
+    { role: 'assistant', text: '', toolCalls: [{ id: 'call_1', name: 'searchHotelsByCity', args: { cityCode: 'PAR' } }] },
+    { role: 'tool', results: [{ id: 'call_1', name: 'searchHotelsByCity', content: { data: [] } }] },
+    { role: 'assistant', text: 'No hotels found.', toolCalls: [] }
+];
+
+let server;
+let baseUrl;
+let lastRequest;
+
+before(async () => {
+    // Streams a tool call split across chunks and the token usage last, like OpenAI does
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            lastRequest = { headers: req.headers, body: JSON.parse(body) };
+            res.setHeader('Content-Type', 'text/event-stream');
+            const chunks = [
+                { choices: [{ delta: { content: 'Let me ' } }] },
+                { choices: [{ delta: { content: 'check.' } }] },
+                { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_9', function: { name: 'searchFlights', arguments: '{"origin":"IS' } }] } }] },
+                { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'T","destination":"JFK"}' } }] } }] },
+                { choices: [], usage: { prompt_tokens: 420, completion_tokens: 18, total_tokens: 438 } }
+            ];
+            chunks.forEach(chunk => res.write(`data: ${JSON.stringify(chunk)}\n\n`));
+            res.end('data: [DONE]\n\n');
+        });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+});
+
+test('the OpenAI-compatible provider streams text and assembles tool calls', async () => {
+    const provider = createProvider('openai', { baseUrl, apiKey: 'secret', model: 'local-model', temperature: 0.2 });
+    const deltas = [];
+    const reply = await provider.chat({
+        system: 'Be brief.',
+        messages: conversation,
+        tools: [{ name: 'searchFlights', description: 'Search flights', parameters: { type: 'object', properties: {} } }],
+        onText: delta => deltas.push(delta)
+    });
+
+    assert.deepStrictEqual(deltas, ['Let me ', 'check.']);
+    assert.deepStrictEqual(reply, {
+        text: 'Let me check.',
+        toolCalls: [{ id: 'call_9', name: 'searchFlights', args: { origin: 'IST', destination: 'JFK' } }],
+        usage: { inputTokens: 420, outputTokens: 18 }
+    });
+
+    assert.strictEqual(lastRequest.headers.authorization, 'Bearer secret');
+    assert.strictEqual(lastRequest.body.model, 'local-model');
+    assert.strictEqual(lastRequest.body.temperature, 0.2);
+    assert.deepStrictEqual(lastRequest.body.stream_options, { include_usage: true });
+    assert.strictEqual(lastRequest.body.tools[0].function.name, 'searchFlights');
+    assert.deepStrictEqual(lastRequest.body.messages.map(message => message.role), ['system', 'user', 'assistant', 'tool', 'assistant']);
+    assert.strictEqual(lastRequest.body.messages[2].tool_calls[0].function.arguments, '{"cityCode":"PAR"}');
+    assert.strictEqual(lastRequest.body.messages[3].tool_call_id, 'call_1');
+});
+
+test('histories stored in the Gemini format are converted on load', () => {
+    const legacy = toGeminiContents(conversation);
+    assert.deepStrictEqual(legacy.map(content => content.role), ['user', 'model', 'function', 'model']);
+
+    const converted = normalizeHistory(legacy);
+    assert.deepStrictEqual(converted.map(message => message.role), ['user', 'assistant', 'tool', 'assistant']);
+    assert.strictEqual(converted[1].toolCalls[0].name, 'searchHotelsByCity');
+    assert.strictEqual(converted[2].results[0].id, converted[1].toolCalls[0].id);
+    assert.deepStrictEqual(converted[2].results[0].content, { data: [] });
+    assert.strictEqual(normalizeHistory(conversation), conversation);
+});
+
+test('unknown providers are rejected', () => {
+    assert.throws(() => createProvider('nope'), /Unknown LLM provider "nope"/);
+});
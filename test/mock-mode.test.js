@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startMockServer } = require('../mock/server-process');
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('GET /api/search serves inspiration results from the fixtures', async () => {
+    const { status, body } = await server.request('GET', '/api/search?origin=IST');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.data.map(d => d.destination), ['ATH', 'CDG', 'LHR']);
+});
+
+test('GET /api/search requires an origin', async () => {
+    const { status } = await server.request('GET', '/api/search');
+    assert.strictEqual(status, 400);
+});
+
+test('chat requests without a body get a 400', async () => {
+    for (const url of ['/api/chat', '/api/chat/stream']) {
+        const { status, body } = await server.request('POST', url);
+        assert.deepStrictEqual([status, body], [400, { error: 'Message is required' }]);
+    }
+});
+
+test('a flight search turn returns the model text and a flights block', async () => {
+    const { status, body } = await server.request('POST', '/api/chat', { message: 'Find me a flight from Istanbul to Paris' });
+    assert.strictEqual(status, 200);
+    assert.match(body.content, /TK1821/);
+    assert.deepStrictEqual(body.blocks.map(block => block.type), ['flights']);
+    assert.strictEqual(body.blocks[0].data.length, 2);
+});
+
+test('flight offers get keys of their own search and only resolve in the session that found them', async () => {
+    const first = await server.request('POST', '/api/chat', { message: 'Find me a flight from Istanbul to Paris' });
+    const second = await server.request('POST', '/api/chat', { message: 'Find me a flight from Istanbul to Paris' });
+    const [firstKey] = first.body.blocks[0].data.map(offer => offer.id);
+    const [secondKey] = second.body.blocks[0].data.map(offer => offer.id);
+    assert.match(firstKey, /^[0-9a-f]{6}-1$/);
+    assert.notStrictEqual(firstKey, secondKey);
+
+    // A later search elsewhere does not replace the offer, and another session cannot use it
+    const priced = await server.request('POST', '/api/chat', { message: 'Confirm the price of this flight', sessionId: first.body.sessionId });
+    assert.strictEqual(priced.body.blocks[0].data[0].id, firstKey);
+    const itinerary = await server.request('POST', '/api/itineraries', { sessionId: second.body.sessionId });
+    const added = await server.request('POST', `/api/itineraries/${itinerary.body.id}/items`, { itemType: 'flight', offerId: firstKey });
+    assert.strictEqual(added.status, 400);
+    assert.match(added.body.error, /not in the recent search results/);
+});
+
+test('every tool result of a turn is returned in order', async () => {
+    const { body } = await server.request('POST', '/api/chat', { message: 'find hotels in Paris and show prices for the top two' });
+    assert.deepStrictEqual(body.blocks.map(block => block.type), ['hotels', 'offers']);
+});
+
+test('bookings wait for confirmation and are written to the audit log', async () => {
+    const first = await server.request('POST', '/api/chat', { message: 'show me hotel prices in Paris' });
+    const { body } = await server.request('POST', '/api/chat', { message: 'book the first one', sessionId: first.body.sessionId });
+
+    const action = body.blocks.find(block => block.type === 'pendingAction').data;
+    assert.strictEqual(action.tool, 'bookHotel');
+    assert.strictEqual(action.summary.price, '528.00 EUR');
+
+    const forbidden = await server.request('POST', `/api/actions/${action.id}/confirm`, { token: 'wrong' });
+    assert.strictEqual(forbidden.status, 403);
+
+    const confirmed = await server.request('POST', `/api/actions/${action.id}/confirm`, { token: action.token });
+    assert.strictEqual(confirmed.status, 200);
+    assert.strictEqual(confirmed.body.result.data[0].id, 'MOCK_BOOKING_001');
+
+    const audit = fs.readFileSync(path.join(server.dataDir, 'audit.log'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(audit.at(-1).actionId, action.id);
+    assert.deepStrictEqual([audit.at(-1).decision, audit.at(-1).userId], ['CONFIRMED', 'local']);
+    assert.deepStrictEqual([audit.at(-1).summary.guest, audit.at(-1).summary.email, audit.at(-1).summary.phone], ['[REDACTED]', '[REDACTED]', '[REDACTED]']);
+    assert.strictEqual(audit.at(-1).summary.price, '528.00 EUR');
+});
+
+test('a booking confirmed while the next turn is running stays in the session', async () => {
+    const first = await server.request('POST', '/api/chat', { message: 'show me hotel prices in Paris' });
+    const sessionId = first.body.sessionId;
+    const { body } = await server.request('POST', '/api/chat', { message: 'book the first one', sessionId });
+    const action = body.blocks.find(block => block.type === 'pendingAction').data;
+
+    const turn = server.request('POST', '/api/chat', { message: 'find hotels in Paris and show prices for the top two', sessionId });
+    const confirmed = await server.request('POST', `/api/actions/${action.id}/confirm`, { token: action.token });
+    assert.strictEqual(confirmed.status, 200);
+    assert.strictEqual((await turn).status, 200);
+
+    const { body: session } = await server.request('GET', `/api/sessions/${sessionId}`);
+    assert.strictEqual(session.messages.length, 7);
+    assert.ok(session.messages.some(msg => msg.content === 'Your hotel booking is confirmed.'));
+    const card = session.messages.flatMap(msg => msg.blocks || []).find(block => block.type === 'pendingAction');
+    assert.strictEqual(card.data.status, 'CONFIRMED');
+    assert.ok(session.history.some(entry => entry.role === 'user' && entry.text.startsWith(`[System: The user confirmed action ${action.id}`)));
+});
+
+test('sessions keep the conversation and can be renamed and deleted', async () => {
+    const { body: chat } = await server.request('POST', '/api/chat', { message: 'what are the hotel reviews like?' });
+
+    const { body: session } = await server.request('GET', `/api/sessions/${chat.sessionId}`);
+    assert.deepStrictEqual(session.messages.map(msg => msg.role), ['user', 'model']);
+    assert.ok(session.history.some(entry => entry.role === 'tool' && entry.results[0].name === 'getHotelSentiments'));
+
+    const renamed = await server.request('PATCH', `/api/sessions/${chat.sessionId}`, { title: 'Paris reviews' });
+    assert.strictEqual(renamed.body.title, 'Paris reviews');
+
+    const deleted = await server.request('DELETE', `/api/sessions/${chat.sessionId}`);
+    assert.strictEqual(deleted.status, 204);
+    const missing = await server.request('GET', `/api/sessions/${chat.sessionId}`);
+    assert.strictEqual(missing.status, 404);
+});
+
+test('the streaming endpoint reports tool progress, blocks and text before the final reply', async () => {
+    const events = await server.streamChat({ message: 'find hotels in Paris and show prices for the top two' });
+
+    const names = events.map(e => e.event).filter((name, index, all) => name !== 'text' || all[index - 1] !== 'text');
+    assert.deepStrictEqual(names, ['session', 'tool_start', 'tool_end', 'block', 'tool_start', 'tool_end', 'block', 'text', 'done']);
+    assert.strictEqual(events[1].data.label, 'searchHotelsByCity(PAR)');
+    assert.strictEqual(events[2].data.status, 'ok');
+
+    const streamedText = events.filter(e => e.event === 'text').map(e => e.data.delta).join('');
+    const done = events.at(-1).data;
+    assert.strictEqual(streamedText, done.content);
+    assert.strictEqual(done.sessionId, events[0].data.sessionId);
+    assert.deepStrictEqual(done.blocks.map(block => block.type), ['hotels', 'offers']);
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createLogger, runWithContext, setContext } = require('../lib/logger');
+const { redact } = require('../lib/redact');
+const { createRegistry } = require('../lib/metrics');
+const { startMockServer } = require('../mock/server-process');
+
+// The JSON lines the logger writes to stdout while fn runs
+function captureStdout(fn) {
+    const lines = [];
+    const write = process.stdout.write;
+    process.stdout.write = chunk => lines.push(JSON.parse(chunk));
+    try {
+        fn();
+    } finally {
+        process.stdout.write = write;
+    }
+    return lines;
+}
+
+test('log entries carry the request context and leave out personal data and credentials', () => {
+    const log = createLogger({ component: 'test' });
+    const [entry] = captureStdout(() => runWithContext({ requestId: 'req-1' }, () => {
+        setContext({ sessionId: 'session-1' });
+        log.info('Booking for jane.doe@example.com', {
+            booking: { guests: [{ name: { firstName: 'Jane', lastName: 'Doe' }, contact: { phone: '+33679278416' } }] },
+            note: 'Card 4151 2897 2247 1370, call +33 6 79 27 84 16, order 1234567890123',
+            headers: { Authorization: 'Bearer abc.def' },
+            inputTokens: 12
+        });
+    }));
+
+    assert.deepStrictEqual([entry.level, entry.component, entry.requestId, entry.sessionId], ['info', 'test', 'req-1', 'session-1']);
+    assert.strictEqual(entry.msg, 'Booking for [EMAIL]');
+    assert.deepStrictEqual(entry.booking.guests[0], { name: { firstName: '[REDACTED]', lastName: '[REDACTED]' }, contact: { phone: '[REDACTED]' } });
+    assert.strictEqual(entry.note, 'Card [CARD], call [PHONE], order 1234567890123');
+    assert.strictEqual(entry.headers.Authorization, '[REDACTED]');
+    assert.strictEqual(entry.inputTokens, 12);
+    assert.deepStrictEqual(redact({ flight: { number: '1821' }, at: '2030-06-12T08:35' }), { flight: { number: '1821' }, at: '2030-06-12T08:35' });
+});
+
+test('metrics render counters and cumulative histogram buckets in the Prometheus format', () => {
+    const registry = createRegistry();
+    registry.counter('requests_total', 'Requests.', ['status']).inc({ status: 200 }, 2);
+    const latency = registry.histogram('latency_seconds', 'Latency.', ['tool'], [0.1, 1]);
+    latency.observe({ tool: 'searchFlights' }, 0.05);
+    latency.observe({ tool: 'searchFlights' }, 0.5);
+
+    assert.strictEqual(registry.render(), [
+        '# HELP requests_total Requests.',
+        '# TYPE requests_total counter',
+        'requests_total{status="200"} 2',
+        '# HELP latency_seconds Latency.',
+        '# TYPE latency_seconds histogram',
+        'latency_seconds_bucket{tool="searchFlights",le="0.1"} 1',
+        'latency_seconds_bucket{tool="searchFlights",le="1"} 2',
+        'latency_seconds_bucket{tool="searchFlights",le="+Inf"} 2',
+        'latency_seconds_sum{tool="searchFlights"} 0.55',
+        'latency_seconds_count{tool="searchFlights"} 2',
+        ''
+    ].join('\n'));
+});
+
+let server;
+
+before(async () => {
+    server = await startMockServer();
+});
+
+after(async () => {
+    await server.stop();
+});
+
+test('requests get an id, and tool calls, Amadeus calls and LLM round trips are counted', async () => {
+    const response = await fetch(`${server.baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Request-Id': 'trace-123' },
+        body: JSON.stringify({ message: 'Find me a flight from Istanbul to Paris' })
+    });
+    assert.strictEqual(response.headers.get('x-request-id'), 'trace-123');
+    assert.match((await fetch(`${server.baseUrl}/api/sessions`)).headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+    const metricsResponse = await fetch(`${server.baseUrl}/metrics`);
+    assert.match(metricsResponse.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const metrics = await metricsResponse.text();
+    assert.match(metrics, /^tool_call_duration_seconds_count\{tool="searchFlights",outcome="ok"\} 1$/m);
+    assert.match(metrics, /^amadeus_responses_total\{method="GET",status="200"\} \d+$/m);
+    assert.match(metrics, /^amadeus_token_refreshes_total\{result="success"\} 1$/m);
+    assert.match(metrics, /^llm_request_duration_seconds_count\{provider="scripted",model="model-script\.json",operation="chat",outcome="ok"\} 2$/m);
+    assert.match(metrics, /^http_requests_total\{method="POST",route="\/api\/chat",status="200"\} 1$/m);
+
+    const health = await server.request('GET', '/healthz');
+    assert.strictEqual(health.status, 200);
+    assert.strictEqual(health.body.status, 'ok');
+    assert.deepStrictEqual([health.body.checks.llm.ready, health.body.checks.llm.provider, health.body.checks.amadeus.ready], [true, 'scripted', true]);
+});
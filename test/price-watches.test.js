@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startMockServer } = require('../mock/server-process');
+const { startWebhookReceiver, waitFor } = require('../mock/test-helpers');
+
+let server;
+let webhook;
+
+before(async () => {
+    webhook = await startWebhookReceiver();
+
+    server = await startMockServer({
+        WATCH_CHECK_INTERVAL_MS: '200',
+        NOTIFICATION_WEBHOOK_URL: webhook.url
+    });
+});
+
+after(async () => {
+    await server.stop();
+    webhook.close();
+});
+
+test('a watch records a baseline, keeps re-checking and alerts once below the target', async () => {
+    const created = await server.request('POST', '/api/watches', {
+        type: 'flight', origin: 'ist', destination: 'CDG', date: '2030-06-12', targetPrice: 200
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.label, 'IST→CDG on 2030-06-12');
+    assert.strictEqual(created.body.currentPrice, 189.4);
+    assert.strictEqual(created.body.alerting, true);
+
+    const watch = await waitFor(async () => {
+        const { body } = await server.request('GET', `/api/watches/${created.body.id}`);
+        return body.history.length >= 3 && body;
+    });
+    assert.strictEqual(watch.lowestPrice, 189.4);
+
+    const alerts = webhook.notifications.filter(notification => notification.watchId === created.body.id);
+    assert.strictEqual(alerts.length, 1);
+    assert.strictEqual(alerts[0].event, 'price_alert');
+    assert.match(alerts[0].message, /189\.40 EUR/);
+
+    const deleted = await server.request('DELETE', `/api/watches/${created.body.id}`);
+    assert.strictEqual(deleted.status, 204);
+    assert.strictEqual((await server.request('GET', `/api/watches/${created.body.id}`)).status, 404);
+    assert.strictEqual((await server.request('DELETE', `/api/watches/${created.body.id}`)).status, 404);
+});
+
+test('invalid watches are rejected with the validation errors', async () => {
+    const { status, body } = await server.request('POST', '/api/watches', {
+        type: 'hotel', hotelId: 'RTPAR001', checkInDate: '2030-06-15', checkOutDate: '2030-06-12', dropPercent: 150
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.validationErrors.map(error => error.field), ['dropPercent']);
+
+    const unknownType = await server.request('POST', '/api/watches', { type: 'car' });
+    assert.strictEqual(unknownType.status, 400);
+});
+
+test('the model can start a watch from the chat and it is listed for the session', async () => {
+    const { body } = await server.request('POST', '/api/chat', { message: 'Alert me when the flight to Paris gets cheaper' });
+    assert.deepStrictEqual(body.blocks.map(block => block.type), ['priceWatch']);
+    assert.strictEqual(body.blocks[0].data[0].targetPrice, 180);
+
+    const listed = await server.request('GET', `/api/watches?sessionId=${body.sessionId}`);
+    assert.deepStrictEqual(listed.body.map(watch => watch.id), [body.blocks[0].data[0].id]);
+});
+
+test('hotel watches re-check prices without adding the offers to the search results', async () => {
+    const created = await server.request('POST', '/api/watches', {
+        type: 'hotel', hotelId: 'RTPAR001', checkInDate: '2030-06-12', checkOutDate: '2030-06-15', dropPercent: 10
+    });
+    assert.strictEqual(created.status, 201);
+    await waitFor(async () => (await server.request('GET', `/api/watches/${created.body.id}`)).body.history.length >= 2);
+
+    // Only offers the user searched for can be planned or booked
+    const itinerary = await server.request('POST', '/api/itineraries', {});
+    const added = await server.request('POST', `/api/itineraries/${itinerary.body.id}/items`, { itemType: 'hotel', offerId: 'MOCKOFFER001' });
+    assert.strictEqual(added.status, 400);
+    assert.match(added.body.error, /not in the recent search results/);
+});
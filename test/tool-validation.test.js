@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createToolValidator } = require('../lib/tool-validation');
+
+// Declarations in the shape server.js passes to the model
+const validator = createToolValidator([
+    {
+        name: 'searchFlights',
+        parameters: {
+            type: 'object',
+            properties: {
+                origin: { type: 'string' },
+                destination: { type: 'string' },
+                date: { type: 'string' },
+                returnDate: { type: 'string' },
+                adults: { type: 'integer' },
+                infants: { type: 'integer' },
+                travelClass: { type: 'string', enum: ['ECONOMY', 'BUSINESS'] }
+            },
+            required: ['origin', 'destination', 'date']
+        }
+    },
+    {
+        name: 'createFlightOrder',
+        parameters: {
+            type: 'object',
+            properties: {
+                offerId: { type: 'string' },
+                travelers: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            firstName: { type: 'string' },
+                            dateOfBirth: { type: 'string' },
+                            email: { type: 'string' }
+                        },
+                        required: ['firstName', 'dateOfBirth', 'email']
+                    }
+                }
+            },
+            required: ['offerId', 'travelers']
+        }
+    },
+    {
+        name: 'searchMultiCityFlights',
+        parameters: {
+            type: 'object',
+            properties: {
+                legs: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: { origin: { type: 'string' }, destination: { type: 'string' }, date: { type: 'string' } },
+                        required: ['origin', 'destination', 'date']
+                    }
+                },
+                adults: { type: 'integer' }
+            },
+            required: ['legs']
+        }
+    }
+]);
+
+function fields(result) {
+    return result.errors.map(error => error.field);
+}
+
+test('valid arguments are normalized and undeclared ones dropped', () => {
+    const result = validator.validate('searchFlights', { origin: ' ist', destination: 'CDG', date: '2099-06-12', adults: 2, extra: true });
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.args, { origin: 'IST', destination: 'CDG', date: '2099-06-12', adults: 2 });
+});
+
+test('types, required fields, enums and field formats are checked', () => {
+    const result = validator.validate('searchFlights', { origin: 'Istanbul', date: '2099-02-30', adults: 'two', travelClass: 'COACH' });
+    assert.deepStrictEqual(fields(result), ['destination', 'origin', 'date', 'adults', 'travelClass']);
+});
+
+test('travel dates in the past are rejected', () => {
+    const result = validator.validate('searchFlights', { origin: 'IST', destination: 'CDG', date: '2001-01-01' });
+    assert.deepStrictEqual(fields(result), ['date']);
+    assert.match(result.errors[0].message, /must not be in the past/);
+});
+
+test('rules spanning several arguments run once the fields are valid', () => {
+    const result = validator.validate('searchFlights', { origin: 'IST', destination: 'CDG', date: '2099-06-12', returnDate: '2099-06-01', adults: 1, infants: 2 });
+    assert.deepStrictEqual(fields(result), ['returnDate', 'infants']);
+
+    const oneLeg = validator.validate('searchMultiCityFlights', { legs: [{ origin: 'IST', destination: 'CDG', date: '2099-06-12' }], adults: 1 });
+    assert.deepStrictEqual(oneLeg.errors, [{ field: 'legs', message: 'must contain between 2 and 6 legs, got 1' }]);
+});
+
+test('nested items are checked with their path', () => {
+    const result = validator.validate('createFlightOrder', {
+        offerId: '1',
+        travelers: [{ firstName: 'Jane', dateOfBirth: '1990-01-01', email: 'jane@example.com' }, { firstName: '', dateOfBirth: '2099-01-01', email: 'nope' }]
+    });
+    assert.deepStrictEqual(fields(result), ['travelers[1].firstName', 'travelers[1].dateOfBirth', 'travelers[1].email']);
+});
+
+test('unknown tools are reported', () => {
+    assert.deepStrictEqual(validator.validate('teleport', {}).errors, [{ field: '', message: 'unknown tool "teleport"' }]);
+});